@@ -12,25 +12,39 @@
  * - State Store: Maps tabId -> PlayerState.
  * - Life-cycle Management: Automatically cleans up closed/navigated tabs.
  * - Reactive Updates: Notifies connected popups immediately upon state changes.
- * - Lyrics Fetching: Parallel execution strategy (Preserved from v5.8).
+ * - Lyrics Fetching: Parallel execution strategy (Preserved from v5.8),
+ *   run against each enabled provider (providers.js) in the user's order.
+ * - Track Identity: Entries are keyed by YouTube video ID when known, with a
+ *   title/artist index so other uploads of the same recording still hit.
+ * - Offline-first: Cached lyrics are served without network access, misses
+ *   are cached briefly, and stale entries are revalidated once back online.
+ * - Settings: Cache TTLs and match threshold follow the shared settings store.
+ * - Re-injection: After install/update/reload, open YTM tabs get the content
+ *   scripts again so the UI comes back without a page reload.
+ * - Keyboard Shortcuts: `chrome.commands` are forwarded to the YTM tab they
+ *   are meant for.
  */
 
+importScripts('settings.js', 'providers.js', 'lrc.js');
+
 const CONFIG = {
-    // API Endpoints
-    apiSearchBase: "https://lrclib.net/api/search",
-    apiGetBase: "https://lrclib.net/api/get",
-    
-    // Request Headers
-    userAgent: "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
-    appName: "YTM-Modern-UI/1.0 (Unofficial Extension)",
-    
-    // Cache Settings
+    // Cache Settings (defaults; overridden by applySettings)
     ttlRevalidate: 30 * 24 * 60 * 60 * 1000,
     ttlExpire: 365 * 24 * 60 * 60 * 1000,
     storageKeyPrefix: "lyric_",
+    overrideKeyPrefix: "override_", // User-imported lyrics, never expired or revalidated
+    missKeyPrefix: "miss_",         // Songs no provider had lyrics for
+    trackIndexPrefix: "track_",     // title/artist -> video IDs with entries (secondary index)
+    durationTolerance: 3,           // Seconds; longer differences mean another recording
+    ttlMiss: 24 * 60 * 60 * 1000,
+
+    // Minimum calculateScore() for a search result to be auto-selected
+    matchThreshold: 70,
     
     // Session Store Keys
-    STORE_KEY: "activePlayers"
+    STORE_KEY: "activePlayers",
+    lyricLinesKeyPrefix: "lyricLines_", // Popup preview lines per tab, stored apart from the store
+    REVALIDATE_QUEUE_KEY: "revalidateQueue" // Stale entries waiting for connectivity
 };
 
 const SCRIPT_REGEX = {
@@ -38,22 +52,71 @@ const SCRIPT_REGEX = {
     'ko': /[\uAC00-\uD7AF]/, 'zh': /[\u4E00-\u9FFF]/, 'ru': /[\u0400-\u04FF]/,
 };
 
+// --- 0. Settings ---
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Copies user settings into CONFIG. Called on load and on every change.
+ * @param {object} settings - Validated settings from settings.js.
+ */
+function applySettings(settings) {
+    CONFIG.ttlRevalidate = settings.ttlRevalidateDays * DAY_MS;
+    CONFIG.ttlExpire = settings.ttlExpireDays * DAY_MS;
+    CONFIG.ttlMiss = settings.ttlMissHours * HOUR_MS;
+    CONFIG.matchThreshold = settings.matchThreshold;
+}
+
+// Handlers that depend on CONFIG await this before reading it
+const settingsReady = Settings.load()
+    .then(applySettings)
+    .catch(e => console.warn("[BG] Settings load failed, using defaults:", e));
+Settings.onChange(applySettings);
+
+// Provider instances in priority order (disabled entries are skipped)
+let lyricsProviders = [];
+
+function applyProviders(list) {
+    lyricsProviders = list.filter(p => p.enabled).map(Providers.create);
+}
+
+const providersReady = Providers.load()
+    .catch(e => {
+        console.warn("[BG] Provider list load failed, using defaults:", e);
+        return Providers.defaults();
+    })
+    .then(applyProviders);
+Providers.onChange(applyProviders);
+
+function findProvider(id) {
+    return lyricsProviders.find(p => p.id === id) || null;
+}
+
 // --- 1. State Store Management (New) ---
 
 /**
  * Updates the state for a specific tab in the session storage.
+ * Lyric lines only come with some updates (content.js sends them when they
+ * change); they are kept under their own key so the frequent line index
+ * updates do not rewrite them. `lyricsId` tells the popup when to fetch them again.
  * @param {number} tabId 
  * @param {object} playerData 
  */
 async function updatePlayerState(tabId, playerData) {
     try {
+        const { lyricLines, ...player } = playerData;
         const store = await getSessionStore();
+        const previous = store[tabId];
         store[tabId] = {
-            ...playerData,
+            ...player,
+            lyricsId: lyricLines ? Date.now() : (previous && previous.lyricsId) || 0,
             lastUpdated: Date.now(),
             tabId: tabId // Ensure tabId is included in the object
         };
-        await chrome.storage.session.set({ [CONFIG.STORE_KEY]: store });
+        const changes = { [CONFIG.STORE_KEY]: store };
+        if (lyricLines) changes[getLyricLinesKey(tabId)] = lyricLines;
+        await chrome.storage.session.set(changes);
         
         // Notify any open popups about the change
         chrome.runtime.sendMessage({ action: 'storeUpdated', store: store }).catch(() => {
@@ -74,6 +137,7 @@ async function removePlayerState(tabId) {
         if (store[tabId]) {
             delete store[tabId];
             await chrome.storage.session.set({ [CONFIG.STORE_KEY]: store });
+            await chrome.storage.session.remove(getLyricLinesKey(tabId));
             
             // Notify popup to remove this card
             chrome.runtime.sendMessage({ action: 'storeUpdated', store: store }).catch(() => {});
@@ -106,27 +170,40 @@ async function cleanUpZombies() {
     const tabs = await chrome.tabs.query({ url: "*://music.youtube.com/*" });
     const actualTabIds = new Set(tabs.map(t => t.id));
 
-    let changed = false;
-    for (const id of storedTabIds) {
-        if (!actualTabIds.has(id)) {
-            delete store[id];
-            changed = true;
-        }
-    }
+    const removed = storedTabIds.filter(id => !actualTabIds.has(id));
+    removed.forEach(id => { delete store[id]; });
 
-    if (changed) {
+    if (removed.length > 0) {
         await chrome.storage.session.set({ [CONFIG.STORE_KEY]: store });
+        await chrome.storage.session.remove(removed.map(getLyricLinesKey));
     }
 }
 
+function getLyricLinesKey(tabId) {
+    return `${CONFIG.lyricLinesKeyPrefix}${tabId}`;
+}
+
 // --- 2. Event Listeners (Life-cycle) ---
 
+// Revalidation queued while offline
+self.addEventListener('online', drainRevalidationQueue);
+
 chrome.runtime.onStartup.addListener(() => {
-    garbageCollectCache();
+    garbageCollectCache().then(rebuildTrackIndex);
     // Clear session store on browser startup
     chrome.storage.session.remove(CONFIG.STORE_KEY);
 });
 
+// Install/Update/Reload -> Content scripts in open tabs are orphaned (or never ran)
+chrome.runtime.onInstalled.addListener((details) => {
+    if (details.reason === 'install' || details.reason === 'update') reinjectContentScripts();
+});
+
+// Keyboard shortcut (manifest "commands") -> YTM tab
+chrome.commands.onCommand.addListener((command, tab) => {
+    handleCommand(command, tab).catch(e => console.warn(`[Commands] ${command} failed:`, e));
+});
+
 // Tab Closed -> Remove from store
 chrome.tabs.onRemoved.addListener((tabId) => {
     removePlayerState(tabId);
@@ -141,6 +218,72 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
     }
 });
 
+/**
+ * Runs the manifest's content scripts in YTM tabs that are already open.
+ * Chrome only injects them on page load, and after a reload the previous
+ * instance can no longer reach this worker; the new content.js takes over
+ * from it (see its takeover event).
+ */
+async function reinjectContentScripts() {
+    const contentScripts = chrome.runtime.getManifest().content_scripts || [];
+    const tabs = await chrome.tabs.query({ url: "*://music.youtube.com/*" });
+    for (const tab of tabs) {
+        // Discarded tabs load the page (and the scripts) again when activated
+        if (tab.discarded) continue;
+        try {
+            await injectContentScripts(tab.id, contentScripts);
+        } catch (e) {
+            console.warn(`[Reinject] Tab ${tab.id} failed:`, e);
+        }
+    }
+}
+
+/**
+ * Injects every file, libraries included: the new content.js needs the new
+ * schemas and helpers, not the ones an orphaned instance left behind. The
+ * libraries keep their state inside a function scope and assign their
+ * globals to globalThis, so running them again just replaces the old ones.
+ */
+async function injectContentScripts(tabId, contentScripts) {
+    const target = { tabId };
+    for (const entry of contentScripts) {
+        const world = entry.world || 'ISOLATED';
+        if (entry.css) await chrome.scripting.insertCSS({ target, files: entry.css });
+        if (entry.js && entry.js.length > 0) await chrome.scripting.executeScript({ target, world, files: entry.js });
+    }
+}
+
+/**
+ * Turning the full-screen player on/off is global (like the popup toggle);
+ * everything else acts on the YTM tab the user most likely means.
+ * @param {string} command - Name from the manifest's "commands".
+ * @param {chrome.tabs.Tab} [tab] - The focused tab.
+ */
+async function handleCommand(command, tab) {
+    if (command === 'toggle-immersive') {
+        const { isEnabled } = await chrome.storage.local.get('isEnabled');
+        await chrome.storage.local.set({ isEnabled: isEnabled === false });
+        return;
+    }
+    const tabId = await findCommandTarget(tab);
+    if (tabId !== null) await chrome.tabs.sendMessage(tabId, { action: 'runCommand', command });
+}
+
+/**
+ * The focused tab if it is YTM, otherwise the one playing (or updated
+ * last) according to the store, otherwise any YTM tab.
+ * @returns {Promise<number|null>}
+ */
+async function findCommandTarget(tab) {
+    if (tab && tab.url && tab.url.startsWith('https://music.youtube.com/')) return tab.id;
+    const isPlaying = (player) => player.status === 'playing' ? 1 : 0;
+    const players = Object.values(await getSessionStore())
+        .sort((a, b) => (isPlaying(b) - isPlaying(a)) || (b.lastUpdated - a.lastUpdated));
+    if (players.length > 0) return players[0].tabId;
+    const [ytmTab] = await chrome.tabs.query({ url: "*://music.youtube.com/*" });
+    return ytmTab ? ytmTab.id : null;
+}
+
 // Message Handling
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     // A. Content Script reporting state
@@ -160,6 +303,15 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         return true; // Async response
     }
     
+    // B2. Popup requesting a tab's lyric lines (see updatePlayerState)
+    else if (request.action === "getLyricLines") {
+        const key = getLyricLinesKey(request.tabId);
+        chrome.storage.session.get(key)
+            .then(result => sendResponse(result[key] || []))
+            .catch(() => sendResponse([]));
+        return true; // Async response
+    }
+    
     // C. Popup requesting force sync (Re-hydration)
     else if (request.action === "broadcastForceSync") {
         (async () => {
@@ -172,57 +324,478 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         return true;
     }
 
+    // C1. Help overlay listing the browser-wide shortcuts
+    else if (request.action === "getCommands") {
+        chrome.commands.getAll()
+            .then(commands => sendResponse({
+                success: true,
+                data: commands.filter(c => c.name !== '_execute_action')
+                    .map(c => ({ description: c.description, shortcut: c.shortcut }))
+            }))
+            .catch(err => sendResponse({ success: false, error: err.message }));
+        return true;
+    }
+
+    // C2. Popup playback controls -> forwarded to the selected tab
+    else if (request.action === "playerControl") {
+        chrome.tabs.sendMessage(request.tabId, {
+            action: "playerControl",
+            command: request.command,
+            value: request.value
+        })
+            .then(result => sendResponse(result || { success: false }))
+            .catch(err => sendResponse({ success: false, error: err.message }));
+        return true;
+    }
+
     // D. Lyrics Fetching (Existing)
     else if (request.action === "fetchLyrics") {
         handleLyricsRequest(request)
-            .then(data => sendResponse({ success: true, data: data }))
+            .then(result => sendResponse({
+                success: true, data: result.lyrics, syncOffset: result.syncOffset, source: result.source,
+                cachedAt: result.cachedAt, stale: result.stale
+            }))
             .catch(err => {
                 console.error("[BG] Lyrics Error:", err);
-                sendResponse({ success: false, error: err.message });
+                sendResponse(toErrorResponse(err));
             });
         return true; 
     }
+
+    // E. Per-song sync offset adjusted in the overlay
+    else if (request.action === "saveSyncOffset") {
+        saveSyncOffset(request, request.offset)
+            .then(saved => sendResponse({ success: saved }));
+        return true;
+    }
+
+    // F. Manual search: scored candidate list for the lyrics picker
+    else if (request.action === "searchLyricsCandidates") {
+        searchLyricsCandidates(request)
+            .then(candidates => sendResponse({ success: true, data: candidates }))
+            .catch(err => sendResponse(toErrorResponse(err)));
+        return true;
+    }
+
+    // G. Manual search: user picked a candidate, pin it for this song
+    else if (request.action === "pinLyrics") {
+        pinLyrics(request)
+            .then(result => sendResponse({ success: true, data: result.lyrics, syncOffset: result.syncOffset, source: result.source }))
+            .catch(err => sendResponse(toErrorResponse(err)));
+        return true;
+    }
+
+    // H. Local file imported by the user for the current song
+    else if (request.action === "importLyricsOverride") {
+        importLyricsOverride(request)
+            .then(result => sendResponse({ success: true, data: result.lyrics, syncOffset: result.syncOffset, source: result.source }))
+            .catch(err => sendResponse({ success: false, error: err.message }));
+        return true;
+    }
+    else if (request.action === "removeLyricsOverride") {
+        lookupEntries(request)
+            .then(entries => chrome.storage.local.remove(entries.overrideKey))
+            .then(() => sendResponse({ success: true }))
+            .catch(err => sendResponse({ success: false, error: err.message }));
+        return true;
+    }
+
+    // I. Options page: re-fetch a single cache entry
+    else if (request.action === "refreshCacheEntry") {
+        refreshCacheEntry(request.key, request.lang)
+            .then(() => sendResponse({ success: true }))
+            .catch(err => sendResponse(toErrorResponse(err)));
+        return true;
+    }
 });
 
+/**
+ * Failure response for lyrics messages. `errorCategory` is a FETCH_ERROR value
+ * for network failures and null for anything else.
+ */
+function toErrorResponse(err) {
+    return { success: false, error: err.message, errorCategory: err.category || null };
+}
+
 // --- 3. Lyrics Logic (Preserved from v5.8) ---
 
-function getCacheKey(title, artist) { return CONFIG.storageKeyPrefix + normalize(title) + "_" + normalize(artist); }
-async function garbageCollectCache() { try { const allData = await chrome.storage.local.get(null); const now = Date.now(); const keysToRemove = []; for (const [key, value] of Object.entries(allData)) { if (key.startsWith(CONFIG.storageKeyPrefix)) { const lastTime = value.lastAccessed || value.createdAt || now; if (now - lastTime > CONFIG.ttlExpire) keysToRemove.push(key); } } if (keysToRemove.length > 0) await chrome.storage.local.remove(keysToRemove); } catch (e) { console.warn("[Cache] GC failed:", e); } }
-async function handleLyricsRequest({ title, artist, album, lang, duration }) {
-    const key = getCacheKey(title, artist);
+// With a video ID entries are keyed by it ("lyric_v:<id>"); title/artist keys remain for
+// songs without one and for entries written before video IDs were used
+function getSongKeySuffix(title, artist, videoId) { return isVideoId(videoId) ? "v:" + videoId : normalize(title) + "_" + normalize(artist); }
+function getCacheKey(title, artist, videoId) { return CONFIG.storageKeyPrefix + getSongKeySuffix(title, artist, videoId); }
+function getOverrideKey(title, artist, videoId) { return CONFIG.overrideKeyPrefix + getSongKeySuffix(title, artist, videoId); }
+function getMissKey(title, artist, videoId) { return CONFIG.missKeyPrefix + getSongKeySuffix(title, artist, videoId); }
+function getTrackIndexKey(title, artist) { return CONFIG.trackIndexPrefix + normalize(title) + "_" + normalize(artist); }
+function isVideoId(id) { return typeof id === 'string' && /^[A-Za-z0-9_-]{11}$/.test(id); }
+async function garbageCollectCache() { try { await settingsReady; const allData = await chrome.storage.local.get(null); const now = Date.now(); const keysToRemove = []; for (const [key, value] of Object.entries(allData)) { if (key.startsWith(CONFIG.storageKeyPrefix)) { const lastTime = value.lastAccessed || value.createdAt || now; if (now - lastTime > CONFIG.ttlExpire) keysToRemove.push(key); } else if (key.startsWith(CONFIG.missKeyPrefix)) { if (now - (value.checkedAt || 0) > CONFIG.ttlMiss) keysToRemove.push(key); } } if (keysToRemove.length > 0) await chrome.storage.local.remove(keysToRemove); } catch (e) { console.warn("[Cache] GC failed:", e); } }
+
+/**
+ * Finds the stored entries for a song.
+ * Entries under the song's own key win. Without any, a video ID lookup falls
+ * back to the title/artist index (other uploads, pre-video-ID entries), but
+ * only to recordings of about the same length, so live versions don't match.
+ * @returns {Promise<{cacheKey: string, cacheVideoId: ?string, cached: object, overrideKey: string, override: object, missKey: string, miss: object}>}
+ *   Keys point at the entries found, or at the song's own keys when none were;
+ *   cacheVideoId is the video the cache key belongs to (null for title/artist).
+ */
+async function lookupEntries({ title, artist, videoId, duration }) {
+    const found = {
+        cacheKey: getCacheKey(title, artist, videoId),
+        cacheVideoId: videoId,
+        overrideKey: getOverrideKey(title, artist, videoId),
+        missKey: getMissKey(title, artist, videoId)
+    };
+    const own = await chrome.storage.local.get([found.cacheKey, found.overrideKey, found.missKey]);
+    found.cached = own[found.cacheKey];
+    found.override = own[found.overrideKey];
+    found.miss = own[found.missKey];
+    if (!isVideoId(videoId) || found.cached || found.override) return found;
+
+    const indexKey = getTrackIndexKey(title, artist);
+    const indexed = ((await chrome.storage.local.get(indexKey))[indexKey] || []).filter(id => id !== videoId);
+    const ids = [...indexed, null];
+    const cacheKeys = ids.map(id => getCacheKey(title, artist, id));
+    const overrideKeys = ids.map(id => getOverrideKey(title, artist, id));
+    const others = await chrome.storage.local.get([...cacheKeys, ...overrideKeys]);
+    const matches = (key) => others[key] && isSameRecording(others[key].meta, duration);
+
+    const overrideKey = overrideKeys.find(matches);
+    if (overrideKey) {
+        found.overrideKey = overrideKey;
+        found.override = others[overrideKey];
+    }
+    const cacheKey = cacheKeys.find(matches);
+    if (cacheKey) {
+        found.cacheKey = cacheKey;
+        found.cacheVideoId = ids[cacheKeys.indexOf(cacheKey)];
+        found.cached = others[cacheKey];
+    }
+    return found;
+}
+
+function isSameRecording(meta, duration) {
+    if (!meta || !meta.duration || !duration) return true;
+    return Math.abs(meta.duration - duration) <= CONFIG.durationTolerance;
+}
+
+/**
+ * Records that a video ID has entries for this title/artist.
+ */
+async function addToTrackIndex(title, artist, videoId) {
+    if (!isVideoId(videoId)) return;
+    const indexKey = getTrackIndexKey(title, artist);
+    try {
+        const ids = (await chrome.storage.local.get(indexKey))[indexKey] || [];
+        if (ids.includes(videoId)) return;
+        await chrome.storage.local.set({ [indexKey]: [...ids, videoId] });
+    } catch (e) { console.warn("[Cache] Index write failed:", e); }
+}
+
+/**
+ * Rebuilds every title/artist index from the entries' `meta.videoId`.
+ * Drops IDs of expired entries and picks up imported ones.
+ */
+async function rebuildTrackIndex() {
+    try {
+        const allData = await chrome.storage.local.get(null);
+        const index = {};
+        for (const [key, value] of Object.entries(allData)) {
+            const isEntry = key.startsWith(CONFIG.storageKeyPrefix) || key.startsWith(CONFIG.overrideKeyPrefix);
+            const meta = value && value.meta;
+            if (!isEntry || !meta || !isVideoId(meta.videoId)) continue;
+            const indexKey = getTrackIndexKey(meta.title, meta.artist);
+            index[indexKey] = index[indexKey] || [];
+            if (!index[indexKey].includes(meta.videoId)) index[indexKey].push(meta.videoId);
+        }
+        const obsolete = Object.keys(allData).filter(key => key.startsWith(CONFIG.trackIndexPrefix) && !index[key]);
+        if (obsolete.length > 0) await chrome.storage.local.remove(obsolete);
+        if (Object.keys(index).length > 0) await chrome.storage.local.set(index);
+    } catch (e) { console.warn("[Cache] Index rebuild failed:", e); }
+}
+
+async function handleLyricsRequest({ title, artist, album, lang, duration, videoId }) {
+    await settingsReady;
+    await providersReady;
     const now = Date.now();
+    const offline = navigator.onLine === false;
+    let key = getCacheKey(title, artist, videoId);
+    let cacheVideoId = videoId;
     let cached = null;
+    let override = null;
+    let miss = null;
     try {
-        const storageData = await chrome.storage.local.get(key);
-        cached = storageData[key];
+        const entries = await lookupEntries({ title, artist, videoId, duration });
+        key = entries.cacheKey;
+        cacheVideoId = entries.cacheVideoId;
+        cached = entries.cached;
+        override = entries.override;
+        miss = entries.miss;
     } catch (e) { console.warn("[Cache] Read failed:", e); }
 
+    if (!offline) drainRevalidationQueue();
+
+    // User-imported lyrics always win and are never revalidated
+    if (override) {
+        return { lyrics: override.lyrics, syncOffset: override.syncOffset || 0, source: 'override' };
+    }
+
     if (cached) {
         cached.lastAccessed = now;
         chrome.storage.local.set({ [key]: cached });
         const age = now - (cached.updatedAt || 0);
-        if (age > CONFIG.ttlRevalidate) {
-            fetchAndCache(title, artist, album, lang, duration).catch(() => {});
+        const stale = age > CONFIG.ttlRevalidate;
+        if (stale) {
+            // Refresh the entry that was served, which may be another upload's
+            // (track index): fetchAndCache writes to the key of the video it gets
+            const song = { title, artist, album, lang, duration, videoId: cacheVideoId };
+            if (offline) queueRevalidation(key, song);
+            else revalidate(key, song);
         }
-        return cached.lyrics;
+        return {
+            lyrics: toCachedResult(cached.lyrics), syncOffset: cached.syncOffset || 0, source: 'cache',
+            cachedAt: cached.updatedAt || 0, stale: stale
+        };
+    }
+
+    // Recently confirmed "not found": don't ask the providers again yet
+    if (miss && now - (miss.checkedAt || 0) < CONFIG.ttlMiss) {
+        return { lyrics: null, syncOffset: 0, source: 'cache' };
     }
-    return await fetchAndCache(title, artist, album, lang, duration);
+    const lyrics = await fetchAndCache(title, artist, album, lang, duration, videoId);
+    return { lyrics: lyrics, syncOffset: 0, source: 'network' };
+}
+
+/**
+ * Background refresh of a stale entry. Connectivity failures put it back
+ * in the queue; anything else keeps the old copy until the next play.
+ */
+function revalidate(key, song) {
+    fetchAndCache(song.title, song.artist, song.album, song.lang, song.duration, song.videoId).catch(e => {
+        if (isConnectivityError(e)) queueRevalidation(key, song);
+    });
+}
+
+function isConnectivityError(e) {
+    return e.category === FETCH_ERROR.OFFLINE || e.category === FETCH_ERROR.NETWORK || e.category === FETCH_ERROR.TIMEOUT;
+}
+
+async function queueRevalidation(key, song) {
+    try {
+        const result = await chrome.storage.session.get(CONFIG.REVALIDATE_QUEUE_KEY);
+        const queue = result[CONFIG.REVALIDATE_QUEUE_KEY] || {};
+        queue[key] = song;
+        await chrome.storage.session.set({ [CONFIG.REVALIDATE_QUEUE_KEY]: queue });
+    } catch (e) { console.warn("[Cache] Queue write failed:", e); }
+}
+
+/**
+ * Revalidates every queued entry. Runs when connectivity returns and
+ * opportunistically on online lyrics requests (the worker may have slept
+ * through the `online` event).
+ */
+async function drainRevalidationQueue() {
+    if (navigator.onLine === false) return;
+    try {
+        const result = await chrome.storage.session.get(CONFIG.REVALIDATE_QUEUE_KEY);
+        const queue = result[CONFIG.REVALIDATE_QUEUE_KEY];
+        if (!queue || Object.keys(queue).length === 0) return;
+        await chrome.storage.session.remove(CONFIG.REVALIDATE_QUEUE_KEY);
+        for (const [key, song] of Object.entries(queue)) revalidate(key, song);
+    } catch (e) { console.warn("[Cache] Queue drain failed:", e); }
 }
-async function fetchAndCache(title, artist, album, lang, duration) {
-    const lyrics = await fetchLyricsHandler(title, artist, album, lang, duration);
-    if (lyrics && lyrics.length > 1) {
-        const key = getCacheKey(title, artist);
+// cache key -> pending fetchAndCache promise, shared by tabs playing the same song
+const inflightFetches = new Map();
+
+function fetchAndCache(title, artist, album, lang, duration, videoId) {
+    const key = getCacheKey(title, artist, videoId);
+    if (inflightFetches.has(key)) return inflightFetches.get(key);
+    const pending = fetchAndCacheUncached(key, title, artist, album, lang, duration, videoId)
+        .finally(() => inflightFetches.delete(key));
+    inflightFetches.set(key, pending);
+    return pending;
+}
+
+async function fetchAndCacheUncached(key, title, artist, album, lang, duration, videoId) {
+    const meta = { title, artist, album, duration, videoId: isVideoId(videoId) ? videoId : undefined };
+    let previous = null;
+    try {
+        previous = (await chrome.storage.local.get(key))[key];
+    } catch (e) { console.warn("[Cache] Read failed:", e); }
+
+    // A record pinned by the user is refreshed by id instead of re-matched,
+    // unless its provider has since been removed or disabled
+    const pinnedProvider = previous && previous.pinnedId
+        ? findProvider(previous.pinnedProvider || 'lrclib')
+        : null;
+    const lyrics = pinnedProvider
+        ? await tryApiGetById(pinnedProvider, previous.pinnedId)
+        : await fetchLyricsHandler(title, artist, album, lang, duration);
+    if (lyrics === null && !previous) {
+        // Every provider answered "not found" (failures throw before this point)
+        try {
+            await chrome.storage.local.set({
+                [getMissKey(title, artist, videoId)]: { checkedAt: Date.now(), meta: meta }
+            });
+        } catch (e) { console.warn("[Cache] Write failed:", e); }
+    }
+    if (isCacheableResult(lyrics)) {
         const cacheEntry = {
             lyrics: lyrics, createdAt: Date.now(), updatedAt: Date.now(),
-            lastAccessed: Date.now(), meta: { title, artist, album, duration }
+            lastAccessed: Date.now(), meta: meta
         };
+        // Revalidation must not drop the user's manual adjustments
+        if (previous && previous.syncOffset) cacheEntry.syncOffset = previous.syncOffset;
+        if (pinnedProvider) {
+            cacheEntry.pinnedId = previous.pinnedId;
+            cacheEntry.pinnedProvider = pinnedProvider.id;
+        }
         try {
             await chrome.storage.local.set({ [key]: cacheEntry });
+            await chrome.storage.local.remove(getMissKey(title, artist, videoId));
+            await addToTrackIndex(title, artist, videoId);
         } catch (e) { console.warn("[Cache] Write failed:", e); }
     }
     return lyrics;
 }
 
+/**
+ * Re-fetches a cached entry using the `meta` stored with it.
+ * fetchAndCache only writes on success, so a failed refresh keeps the old lyrics.
+ */
+async function refreshCacheEntry(key, lang) {
+    await providersReady;
+    const cached = (await chrome.storage.local.get(key))[key];
+    if (!cached || !cached.meta) throw new Error("Entry has no song metadata");
+    const { title, artist, album, duration, videoId } = cached.meta;
+    const lyrics = await fetchAndCache(title, artist, album, lang, duration, videoId);
+    if (!isCacheableResult(lyrics)) throw new Error("Lyrics not found");
+}
+
+/**
+ * Runs a manual search for the lyrics picker across every searchable provider.
+ * Candidates are scored against the playing song even when the query was edited.
+ * A failing provider is skipped unless all of them fail.
+ * @returns {Promise<Array<object>>} Summaries sorted by score (lyrics bodies omitted).
+ */
+async function searchLyricsCandidates({ title, artist, query, lang, duration }) {
+    await settingsReady;
+    await providersReady;
+    const q = (query || `${sanitize(title)} ${sanitize(artist)}`).trim();
+    const searchable = lyricsProviders.filter(p => p.capabilities.search);
+    const results = await Promise.allSettled(searchable.map(provider =>
+        searchScoredCandidates(provider, q, sanitize(title), sanitize(artist), lang, duration)
+    ));
+    const failed = results.filter(r => r.status === 'rejected');
+    if (searchable.length > 0 && failed.length === searchable.length) throw failed[0].reason;
+
+    const scored = results
+        .flatMap(r => r.status === 'fulfilled' ? r.value : [])
+        .sort((a, b) => b.score - a.score);
+    return scored.map(({ item, score, provider }) => ({
+        id: item.id,
+        provider: provider.id,
+        providerName: provider.name,
+        trackName: item.trackName,
+        artistName: item.artistName,
+        albumName: item.albumName,
+        duration: item.duration,
+        synced: !!item.syncedLyrics,
+        score: score,
+        accepted: score > CONFIG.matchThreshold
+    }));
+}
+
+/**
+ * Replaces the cached lyrics of a song with a specific provider record.
+ * The pinned id is kept so revalidation never falls back to auto-matching.
+ */
+async function pinLyrics({ title, artist, album, duration, videoId, providerId, recordId }) {
+    await providersReady;
+    const provider = findProvider(providerId);
+    if (!provider) throw new Error("Lyrics provider is not available");
+    const lyrics = await tryApiGetById(provider, recordId);
+    if (!lyrics) throw new Error("Selected lyrics could not be loaded");
+
+    const now = Date.now();
+    const cacheEntry = {
+        lyrics: lyrics, createdAt: now, updatedAt: now, lastAccessed: now,
+        meta: { title, artist, album, duration, videoId: isVideoId(videoId) ? videoId : undefined },
+        pinnedId: recordId, pinnedProvider: provider.id
+    };
+    await chrome.storage.local.set({ [getCacheKey(title, artist, videoId)]: cacheEntry });
+    // An explicit pick replaces an imported file, otherwise it would keep winning
+    const { overrideKey } = await lookupEntries({ title, artist, videoId, duration });
+    await chrome.storage.local.remove([overrideKey, getOverrideKey(title, artist, videoId), getMissKey(title, artist, videoId)]);
+    await addToTrackIndex(title, artist, videoId);
+    return { lyrics: lyrics, syncOffset: 0, source: 'network' };
+}
+
+/**
+ * Stores a user-supplied lyrics file as the song's override.
+ * Files with timestamps must yield at least one line through LRC.parse();
+ * anything else is kept as plain text.
+ */
+async function importLyricsOverride({ title, artist, album, duration, videoId, content, fileName }) {
+    const text = (content || "").replace(/^\uFEFF/, "");
+    const parsed = LRC.parse(text);
+    let lyrics;
+    if (parsed && parsed.lines.length > 0) {
+        lyrics = { type: 'synced', lines: parsed.lines };
+    } else if (/\.lrc$/i.test(fileName || "")) {
+        throw new Error("No timed lines found in LRC file");
+    } else if (text.trim()) {
+        lyrics = { type: 'plain', text: text.trim() };
+    } else {
+        throw new Error("File is empty");
+    }
+
+    const now = Date.now();
+    const entry = {
+        lyrics: lyrics, source: 'user', fileName: fileName || "",
+        createdAt: now, updatedAt: now,
+        meta: { title, artist, album, duration, videoId: isVideoId(videoId) ? videoId : undefined }
+    };
+    await chrome.storage.local.set({ [getOverrideKey(title, artist, videoId)]: entry });
+    await addToTrackIndex(title, artist, videoId);
+    return { lyrics: lyrics, syncOffset: 0, source: 'override' };
+}
+
+/**
+ * Entries written before typed results stored the synced line array directly.
+ * @returns {{type: string}|null}
+ */
+function toCachedResult(lyrics) {
+    if (Array.isArray(lyrics)) return { type: 'synced', lines: lyrics };
+    return lyrics || null;
+}
+
+function isCacheableResult(result) {
+    if (!result) return false;
+    if (result.type === 'synced') return result.lines.length > 1;
+    return result.type === 'plain' && !!result.text;
+}
+
+/**
+ * Stores a manual sync offset (ms, positive = lyrics earlier) on the override or cached entry.
+ * Songs without cached lyrics have nothing to adjust, so the call is a no-op.
+ * @returns {Promise<boolean>} Whether the offset was saved.
+ */
+async function saveSyncOffset(song, offset) {
+    try {
+        // The offset belongs to whichever entry is being displayed
+        const entries = await lookupEntries(song);
+        const key = entries.override ? entries.overrideKey : entries.cacheKey;
+        const cached = entries.override || entries.cached;
+        if (!cached) return false;
+        cached.syncOffset = Math.round(offset) || 0;
+        await chrome.storage.local.set({ [key]: cached });
+        return true;
+    } catch (e) {
+        console.warn("[Cache] Offset write failed:", e);
+        return false;
+    }
+}
+
 function sanitize(text) {
     if (!text) return "";
     return text.replace(/[\s　]+/g, ' ').trim();
@@ -236,24 +809,18 @@ function cleanText(text) {
         .trim();
 }
 
-function parseLRC(lrcString) {
-    if (!lrcString) return null;
-    const lines = lrcString.split('\n');
-    const result = [];
-    const timeRegex = /\[(\d{2}):(\d{2})\.(\d{2,3})\]/;
-    for (const line of lines) {
-        const match = line.match(timeRegex);
-        if (match) {
-            const text = line.replace(timeRegex, '').trim();
-            const min = parseInt(match[1], 10);
-            const sec = parseInt(match[2], 10);
-            const ms = parseFloat("0." + match[3]);
-            if (text) {
-                result.push({ time: min * 60 + sec + ms, text: text });
-            }
-        }
-    }
-    return result;
+/**
+ * Converts an LRCLIB record into a typed lyrics result.
+ * Synced lyrics win over plain text when a record carries both.
+ * @returns {{type: 'synced', lines: Array}|{type: 'plain', text: string}|null}
+ */
+function toLyricsResult(item) {
+    if (!item) return null;
+    const parsed = LRC.parse(item.syncedLyrics);
+    if (parsed && parsed.lines.length > 0) return { type: 'synced', lines: parsed.lines };
+    const text = (item.plainLyrics || "").trim();
+    if (text) return { type: 'plain', text: text };
+    return null;
 }
 
 function normalize(str) {
@@ -288,7 +855,7 @@ function calculateScore(item, qTitle, qArtist, userLang, targetDuration) {
     if (iTitle === qT) score += 40;
     else if (iTitle.includes(qT) || qT.includes(iTitle)) score += 20;
     
-    const lyricsSample = item.syncedLyrics || "";
+    const lyricsSample = item.syncedLyrics || item.plainLyrics || "";
     const targetRegex = SCRIPT_REGEX[userLang];
     if (targetRegex && targetRegex.test(lyricsSample)) {
         score += 100;
@@ -299,76 +866,113 @@ function calculateScore(item, qTitle, qArtist, userLang, targetDuration) {
     return score;
 }
 
-async function tryApiGet(track_name, artist_name, album_name, duration, includeAlbum) {
+// The tryApi* helpers resolve null for "not found" and reject with LyricsFetchError on failures
+
+async function tryApiGet(provider, track_name, artist_name, album_name, duration, includeAlbum) {
     if (!track_name || !artist_name || !duration) return null;
-    try {
-        const params = new URLSearchParams({
-            track_name,
-            artist_name,
-            duration: Math.round(duration)
-        });
-        if (includeAlbum && album_name) {
-            params.append('album_name', album_name);
-        }
-        const url = `${CONFIG.apiGetBase}?${params.toString()}`;
-        let res = await fetch(url, { headers: { 'User-Agent': CONFIG.userAgent, 'Lrclib-Client': CONFIG.appName } });
-        if (res.status === 200) {
-            const data = await res.json();
-            return parseLRC(data.syncedLyrics);
-        }
-        return null;
-    } catch (e) {
-        return null;
-    }
+    const item = await provider.get({
+        title: track_name,
+        artist: artist_name,
+        album: includeAlbum ? album_name : "",
+        duration: duration
+    });
+    return toLyricsResult(item);
 }
 
-async function tryApiSearch(title, artist, album, lang, duration) {
-    try {
-        const query = `${title} ${artist}`.trim();
-        const params = new URLSearchParams({ q: query });
-        const url = `${CONFIG.apiSearchBase}?${params.toString()}`;
-        
-        let res = await fetch(url, { headers: { 'User-Agent': CONFIG.userAgent, 'Lrclib-Client': CONFIG.appName } });
-        if (!res.ok) throw new Error(`Status: ${res.status}`);
-
-        const data = await res.json();
-        const candidates = data.filter(item => item.syncedLyrics);
-        if (candidates.length === 0) return null;
+async function tryApiGetById(provider, id) {
+    if (!id) return null;
+    return toLyricsResult(await provider.getById(id));
+}
 
-        const shortLang = (lang || "").split('-')[0];
-        const scoredCandidates = candidates.map(item => ({
+/**
+ * Searches one provider and scores every record carrying lyrics.
+ * @returns {Promise<Array<{item: object, score: number, provider: object}>>} Sorted best first.
+ */
+async function searchScoredCandidates(provider, query, title, artist, lang, duration) {
+    const data = await provider.search(query);
+    const shortLang = (lang || "").split('-')[0];
+    const scoredCandidates = data
+        .filter(item => item && (item.syncedLyrics || item.plainLyrics))
+        .map(item => ({
             item: item,
-            score: calculateScore(item, title, artist, shortLang, duration)
+            score: calculateScore(item, title, artist, shortLang, duration),
+            provider: provider
         }));
-        
-        scoredCandidates.sort((a, b) => b.score - a.score);
-        const bestMatch = scoredCandidates[0];
 
-        if (bestMatch && bestMatch.score > 70) {
-            return parseLRC(bestMatch.item.syncedLyrics);
+    scoredCandidates.sort((a, b) => b.score - a.score);
+    return scoredCandidates;
+}
+
+async function tryApiSearch(provider, title, artist, album, lang, duration) {
+    const query = `${title} ${artist}`.trim();
+    const scoredCandidates = await searchScoredCandidates(provider, query, title, artist, lang, duration);
+    if (scoredCandidates.length === 0) return null;
+
+    // Among acceptable matches, a synced one beats a higher-scored plain one
+    const accepted = scoredCandidates.filter(c => c.score > CONFIG.matchThreshold);
+    const bestMatch = accepted.find(c => c.item.syncedLyrics) || accepted[0];
+
+    return bestMatch ? toLyricsResult(bestMatch.item) : null;
+}
+
+/**
+ * Asks each enabled provider in priority order.
+ * The first synced result wins; a plain result is kept while later providers
+ * that can return synced lyrics are still tried.
+ * @returns {Promise<object|null>} null only when every provider answered "not found".
+ * @throws {LyricsFetchError} When nothing was found and at least one provider failed.
+ */
+async function fetchLyricsHandler(title, artist, album, lang, duration) {
+    let fallback = null;
+    const errors = [];
+    for (const provider of lyricsProviders) {
+        if (fallback && !provider.capabilities.synced) continue;
+        let result = null;
+        try {
+            result = await fetchFromProvider(provider, title, artist, album, lang, duration);
+        } catch (e) {
+            console.warn(`[BG] Provider "${provider.id}" failed:`, e.message);
+            errors.push(e);
         }
-        return null;
-    } catch (e) { 
-        return null;
+        if (result && result.type === 'synced') return result;
+        if (!fallback && result) fallback = result;
     }
+    if (fallback || errors.length === 0) return fallback;
+    throw pickFetchError(errors);
 }
 
-async function fetchLyricsHandler(title, artist, album, lang, duration) {
+/**
+ * Chooses the error that best explains a failed lookup to the user.
+ * @param {Error[]} errors
+ * @returns {Error}
+ */
+function pickFetchError(errors) {
+    const priority = [FETCH_ERROR.OFFLINE, FETCH_ERROR.RATE_LIMITED, FETCH_ERROR.TIMEOUT, FETCH_ERROR.NETWORK];
+    for (const category of priority) {
+        const match = errors.find(e => e.category === category);
+        if (match) return match;
+    }
+    return errors[0];
+}
+
+async function fetchFromProvider(provider, title, artist, album, lang, duration) {
     const sTitle = sanitize(title);
     const sArtist = sanitize(artist);
     const sAlbum = sanitize(album);
 
     const tasks = [
-        { fn: () => tryApiGet(sTitle, sArtist, sAlbum, duration, true), name: "GET_WITH_ALBUM" },
-        { fn: () => tryApiGet(sTitle, sArtist, sAlbum, duration, false), name: "GET_NO_ALBUM" },
-        { fn: () => tryApiSearch(sTitle, sArtist, sAlbum, lang, duration), name: "SEARCH_RAW" }
+        { fn: () => tryApiGet(provider, sTitle, sArtist, sAlbum, duration, true), name: "GET_WITH_ALBUM" },
+        { fn: () => tryApiGet(provider, sTitle, sArtist, sAlbum, duration, false), name: "GET_NO_ALBUM" }
     ];
+    if (provider.capabilities.search) {
+        tasks.push({ fn: () => tryApiSearch(provider, sTitle, sArtist, sAlbum, lang, duration), name: "SEARCH_RAW" });
+    }
 
     const cTitle = cleanText(title);
     const cArtist = cleanText(artist);
-    if (cTitle !== title || cArtist !== artist) {
+    if (provider.capabilities.search && (cTitle !== title || cArtist !== artist)) {
         tasks.push({
-            fn: () => tryApiSearch(cTitle, cArtist, sAlbum, lang, duration),
+            fn: () => tryApiSearch(provider, cTitle, cArtist, sAlbum, lang, duration),
             name: "SEARCH_CLEAN"
         });
     }
@@ -376,12 +980,16 @@ async function fetchLyricsHandler(title, artist, album, lang, duration) {
     const promises = tasks.map(t => t.fn());
     const results = await Promise.allSettled(promises);
 
-    for (let i = 0; i < results.length; i++) {
-        const result = results[i];
-        if (result.status === 'fulfilled' && result.value) {
-            return result.value;
-        }
-    }
+    // Task order is priority order; a synced result from any task beats plain text
+    const values = results
+        .filter(result => result.status === 'fulfilled' && result.value)
+        .map(result => result.value);
+
+    const best = values.find(v => v.type === 'synced') || values.find(v => v.type === 'plain');
+    if (best) return best;
 
-    return [{ time: 0, text: "Lyrics not found" }];
-}
\ No newline at end of file
+    // "Not found" is only trusted when no task failed
+    const errors = results.filter(result => result.status === 'rejected').map(result => result.reason);
+    if (errors.length > 0) throw pickFetchError(errors);
+    return null;
+}
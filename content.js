@@ -18,26 +18,85 @@
 
 (function() {
     // --- 1. Configuration & State Management ---
+    // Values marked (setting) are defaults, overwritten by applySettings().
     const CONFIG = {
-        scrollBehavior: "smooth",
+        scrollBehavior: "smooth", // (setting)
         activeClass: "active",
         layoutClass: "ytm-custom-layout",
         desktopBarClass: "ytm-is-desktop-bar",
         mobileBarClass: "ytm-is-mobile-bar",
+        wideLayoutClass: "ytm-is-wide-layout",
+        narrowLayoutClass: "ytm-is-narrow-layout",
+        lyricsHiddenClass: "ytm-lyrics-hidden",
+        mobileBreakpoint: 950,    // (setting) Max width of the narrow layout
         
-        watchInterval: 500,       // Interval for UI checks
-        artworkRetryInterval: 200,
-        artworkMaxRetries: 15,
-        durationMaxRetries: 20,
+        // Player tracking is event driven; these bound how long it waits on YTM
+        // Dispatched by a newly injected instance; the previous one steps down
+        takeoverEvent: 'ytm-modern-ui:takeover',
+        songCheckDebounce: 150,   // Player bar mutations come in bursts
+        attachDebounce: 250,      // Page mutations while YTM's elements are missing
+        durationWaitTimeout: 2000,
+        artworkWaitTimeout: 3000,
+        lyricsRetryDelays: [1000, 3000, 10000], // The background did not answer (e.g. worker restarting)
         
+        // Synced lyrics follow playback on animation frames; timeupdate only
+        // fires ~4 times a second, so the time in between is interpolated.
+        maxInterpolation: 0.5,    // Seconds past the last reported currentTime
+
+        // Artwork palettes (palette.js) kept per track
+        paletteCacheSize: 100,
+        animatedBackground: true, // (setting) Mesh gradient (mesh.js) instead of the blurred artwork
+
         // Throttling for broadcast to prevent flooding the background script
-        broadcastThrottle: 1000   
+        broadcastThrottle: 1000,  // (setting)
+
+        // Manual sync offset (ms). Positive values show lyrics earlier.
+        offsetStep: 100,          // (setting)
+        offsetStepLarge: 500,     // (setting)
+        offsetSaveDelay: 500,
+        offsetIndicatorDuration: 1500,
+
+        // In-page hotkeys: 'key' setting name -> binding (see HOTKEYS)
+        hotkeys: {},              // (setting)
+
+        // Plain (unsynced) lyrics: follow playback position proportionally
+        plainAutoScroll: true,    // (setting)
+        plainScrollPauseAfterUser: 5000,
+
+        // Pop-out lyrics window (Document Picture-in-Picture)
+        pipSize: { width: 360, height: 480 },
+        pipStylesheet: 'pip.css',
+
+        // Local lyrics import (.lrc / .txt)
+        importMaxBytes: 512 * 1024,
+
+        // Subtitle lines under each lyric (see romanize.js)
+        showTranslation: true,    // (setting)
+        romanizeScripts: []       // (setting) Subset of 'ja' | 'ko' | 'ru'
     };
 
+    // In-page hotkeys, active while the immersive layout is shown. Bindings come
+    // from the 'key' settings; commands are shared with chrome.commands (background.js).
+    const HOTKEYS = [
+        { setting: 'keyOffsetEarlier', command: 'offset-earlier', largeWithShift: true },
+        { setting: 'keyOffsetLater', command: 'offset-later', largeWithShift: true },
+        { setting: 'keyOffsetReset', command: 'offset-reset' },
+        { setting: 'keyPreviousLine', command: 'previous-line' },
+        { setting: 'keyNextLine', command: 'next-line' },
+        { setting: 'keyToggleLyrics', command: 'toggle-lyrics' },
+        { setting: 'keyPictureInPicture', command: 'toggle-pip' },
+        { setting: 'keyShowHelp', command: 'toggle-help' }
+    ];
+
     const DOM = {
-        pageObserver: null, songObserver: null, appLayout: null,
+        pageObserver: null, songObserver: null, attachObserver: null, appLayout: null, video: null,
         playerBar: null, bg: null, wrapper: null, title: null,
-        artist: null, artwork: null, lyrics: null,
+        artist: null, artwork: null, lyrics: null, offsetIndicator: null, cachedIndicator: null,
+        picker: null, pickerInput: null, pickerSearchBtn: null, pickerStatus: null, pickerList: null, pickerRemoveBtn: null,
+        exportPanel: null, exportFormatBtns: [], exportList: null, exportStatus: null, exportCopyBtn: null, exportCardBtn: null,
+        help: null,
+        // Picture-in-picture window (null while closed)
+        pipWindow: null, pipRoot: null, pipBg: null, pipArtwork: null, pipTitle: null, pipArtist: null, pipPlayBtn: null,
     };
 
     let state = {
@@ -45,84 +104,773 @@
         isEnabled: true,
         isContextInvalidated: false,
         currentSongId: null,
+        currentSong: null, // { title, artist, album, duration } of the loaded lyrics
         fetchRequestId: 0,
+        syncOffset: 0,
+        offsetSaveTimer: null,
+        offsetIndicatorTimer: null,
         
         // Lyrics data
         lyrics: [],
-        lyricLines: [],
+        activeIndex: -1, // Last result of findActiveLyricIndex()
+        mainView: null,  // Lyrics views (see createLyricsView): immersive UI
+        pipView: null,   // ... and picture-in-picture window
+        syncFrameId: null,
+        syncFrameWindow: null, // Window whose animation frames run the sync loop
+        clock: { mediaTime: 0, sampledAt: 0 }, // Last currentTime seen and when
+        lyricsType: null, // 'synced' | 'plain' | null
+        lyricsSource: null, // 'override' | 'cache' | 'network' | null
+        plainScrollPausedUntil: 0,
+        plainText: '',
+        lyricsStatus: '', // Shown instead of lyrics while lyricsType is null ("Loading...", errors)
+        lyricsPanelHidden: false,
+        lyricsError: null,  // FETCH_ERROR category of the last failed fetch (providers.js)
+        cachedAt: 0,        // updatedAt of the cached copy being shown
+        lyricsStale: false,
+        exportSelection: null, // { anchor, focus } line indices in the export panel
         
         // Broadcasting control
         lastBroadcastTime: 0,
-        lastBroadcastHash: "" // To prevent sending duplicate states
+        lastBroadcastHash: "", // To prevent sending duplicate states
+        broadcastLyrics: null, // state.lyrics as last sent (lines go out only when it changes)
+
+        // Lifecycle (see section 5)
+        cleanups: [],           // Disposers run by invalidateContext()
+        songCheckTimer: null,
+        attachTimer: null,
+        awaitingDuration: false,
+        durationTimer: null,
+        lyricsRetryTimer: null,
+        artworkResolved: false,
+        artworkTimer: null,
+        artworkUrl: null,
+
+        // songId -> palette (null when the artwork could not be read)
+        palettes: new Map(),
+        mesh: null,             // MeshBackground instance
+        theme: null             // Values of the selected theme (themes.js)
     };
 
     // --- 2. UI Construction (Existing Logic) ---
     function createUI() {
-        if (document.getElementById('ytm-custom-wrapper')) return;
+        // Left behind by an instance that could not clean up after itself
+        ['ytm-custom-bg', 'ytm-custom-wrapper'].forEach(id => {
+            const stale = document.getElementById(id);
+            if (stale) stale.remove();
+        });
         DOM.bg = document.createElement('div'); DOM.bg.id = 'ytm-custom-bg';
+        const meshCanvas = document.createElement('canvas'); meshCanvas.id = 'ytm-custom-mesh';
+        DOM.bg.appendChild(meshCanvas);
+        state.mesh = MeshBackground.create(meshCanvas, () => {
+            const video = document.querySelector('video');
+            return video ? getPlaybackTime(video) : 0;
+        });
+        state.cleanups.push(() => state.mesh.destroy());
         DOM.wrapper = document.createElement('div'); DOM.wrapper.id = 'ytm-custom-wrapper';
         const leftCol = document.createElement('div'); leftCol.id = 'ytm-custom-left-col';
         DOM.artwork = document.createElement('div'); DOM.artwork.id = 'ytm-artwork-container';
         const infoArea = document.createElement('div'); infoArea.id = 'ytm-custom-info-area';
         DOM.title = document.createElement('div'); DOM.title.id = 'ytm-custom-title';
         DOM.artist = document.createElement('div'); DOM.artist.id = 'ytm-custom-artist';
-        infoArea.append(DOM.title, DOM.artist); leftCol.append(DOM.artwork, infoArea);
+        const pickerBtn = document.createElement('button'); pickerBtn.id = 'ytm-wrong-lyrics-btn';
+        pickerBtn.textContent = 'Wrong lyrics?'; pickerBtn.onclick = openLyricsPicker;
+        DOM.cachedIndicator = document.createElement('div'); DOM.cachedIndicator.id = 'ytm-cached-indicator';
+        const exportBtn = document.createElement('button'); exportBtn.id = 'ytm-export-btn';
+        exportBtn.textContent = 'Export'; exportBtn.onclick = openExportPanel;
+        infoArea.append(DOM.title, DOM.artist, DOM.cachedIndicator, pickerBtn, exportBtn); leftCol.append(DOM.artwork, infoArea);
+        if (window.documentPictureInPicture) {
+            const pipBtn = document.createElement('button'); pipBtn.id = 'ytm-pip-btn';
+            pipBtn.textContent = 'Pop out'; pipBtn.title = 'Lyrics in an always-on-top window';
+            pipBtn.onclick = togglePictureInPicture;
+            infoArea.appendChild(pipBtn);
+        }
         DOM.lyrics = document.createElement('div'); DOM.lyrics.id = 'my-lyrics-container';
-        DOM.wrapper.append(leftCol, DOM.lyrics);
+        state.mainView = createLyricsView(DOM.lyrics, isMainViewVisible, scrollMainPlainLyrics);
+        DOM.offsetIndicator = document.createElement('div'); DOM.offsetIndicator.id = 'ytm-offset-indicator';
+        DOM.wrapper.append(leftCol, DOM.lyrics, DOM.offsetIndicator, createLyricsPicker(), createExportPanel(), createHelpOverlay());
         document.body.append(DOM.bg, DOM.wrapper);
     }
 
+    /**
+     * Builds the manual search panel ("Wrong lyrics?").
+     * Hidden until opened; results are filled by renderCandidates().
+     */
+    function createLyricsPicker() {
+        DOM.picker = document.createElement('div'); DOM.picker.id = 'ytm-lyrics-picker';
+        const form = document.createElement('form'); form.className = 'ytm-picker-form';
+        DOM.pickerInput = document.createElement('input'); DOM.pickerInput.type = 'search';
+        DOM.pickerInput.placeholder = 'Title and artist';
+        // Keep YTM's global shortcuts from reacting to typing
+        DOM.pickerInput.addEventListener('keydown', e => e.stopPropagation());
+        DOM.pickerSearchBtn = document.createElement('button'); DOM.pickerSearchBtn.type = 'submit';
+        DOM.pickerSearchBtn.textContent = 'Search';
+        const closeBtn = document.createElement('button'); closeBtn.type = 'button'; closeBtn.textContent = '✕';
+        closeBtn.className = 'ytm-picker-close'; closeBtn.onclick = closeLyricsPicker;
+        form.append(DOM.pickerInput, DOM.pickerSearchBtn, closeBtn);
+        form.onsubmit = (e) => { e.preventDefault(); runCandidateSearch(); };
+
+        const actions = document.createElement('div'); actions.className = 'ytm-picker-actions';
+        const fileInput = document.createElement('input'); fileInput.type = 'file';
+        fileInput.accept = '.lrc,.txt,text/plain'; fileInput.hidden = true;
+        fileInput.onchange = () => { importLyricsFile(fileInput.files[0]); fileInput.value = ''; };
+        const importBtn = document.createElement('button'); importBtn.type = 'button';
+        importBtn.textContent = 'Import .lrc / .txt'; importBtn.onclick = () => fileInput.click();
+        DOM.pickerRemoveBtn = document.createElement('button'); DOM.pickerRemoveBtn.type = 'button';
+        DOM.pickerRemoveBtn.textContent = 'Remove imported lyrics'; DOM.pickerRemoveBtn.onclick = removeLyricsOverride;
+        actions.append(importBtn, DOM.pickerRemoveBtn, fileInput);
+
+        DOM.pickerStatus = document.createElement('div'); DOM.pickerStatus.className = 'ytm-picker-status';
+        DOM.pickerList = document.createElement('div'); DOM.pickerList.className = 'ytm-picker-list';
+        DOM.picker.append(form, actions, DOM.pickerStatus, DOM.pickerList);
+        return DOM.picker;
+    }
+
+    /**
+     * Builds the export panel: whole-lyrics downloads, and a line list to pick
+     * a range for copying or a lyric card. Hidden until opened; the list is
+     * filled by openExportPanel().
+     */
+    function createExportPanel() {
+        DOM.exportPanel = document.createElement('div'); DOM.exportPanel.id = 'ytm-export-panel';
+        const header = document.createElement('div'); header.className = 'ytm-export-header';
+        const heading = document.createElement('div'); heading.textContent = 'Export lyrics';
+        const closeBtn = document.createElement('button'); closeBtn.type = 'button'; closeBtn.textContent = '✕';
+        closeBtn.className = 'ytm-export-close'; closeBtn.onclick = closeExportPanel;
+        header.append(heading, closeBtn);
+
+        const formats = document.createElement('div'); formats.className = 'ytm-export-formats';
+        DOM.exportFormatBtns = Object.entries(LyricsExport.FORMATS).map(([format, { label }]) => {
+            const btn = document.createElement('button'); btn.type = 'button';
+            btn.textContent = `Save ${label}`; btn.dataset.format = format;
+            btn.onclick = () => saveLyricsFile(format);
+            formats.appendChild(btn);
+            return btn;
+        });
+
+        DOM.exportStatus = document.createElement('div'); DOM.exportStatus.className = 'ytm-export-status';
+        DOM.exportList = document.createElement('div'); DOM.exportList.className = 'ytm-export-list';
+        const actions = document.createElement('div'); actions.className = 'ytm-export-actions';
+        DOM.exportCopyBtn = document.createElement('button'); DOM.exportCopyBtn.type = 'button';
+        DOM.exportCopyBtn.textContent = 'Copy selected'; DOM.exportCopyBtn.onclick = copySelectedLines;
+        DOM.exportCardBtn = document.createElement('button'); DOM.exportCardBtn.type = 'button';
+        DOM.exportCardBtn.textContent = 'Lyric card (PNG)'; DOM.exportCardBtn.onclick = saveLyricCard;
+        actions.append(DOM.exportCopyBtn, DOM.exportCardBtn);
+        DOM.exportPanel.append(header, formats, DOM.exportStatus, DOM.exportList, actions);
+        return DOM.exportPanel;
+    }
+
+    /**
+     * Builds the shortcut list overlay. Filled by renderHelp() each time it opens.
+     */
+    function createHelpOverlay() {
+        DOM.help = document.createElement('div'); DOM.help.id = 'ytm-help-overlay';
+        DOM.help.onclick = (e) => { if (e.target === DOM.help) toggleHelp(false); };
+        return DOM.help;
+    }
+
     function updateLayout() {
         const layout = document.querySelector('ytmusic-app-layout');
         const isPlayerOpen = layout && layout.hasAttribute('player-page-open');
         const shouldShow = state.isEnabled && isPlayerOpen && !state.isContextInvalidated;
         document.body.classList.toggle(CONFIG.layoutClass, shouldShow);
+        scheduleSync();
+        applyTheme();
+        updateBackground();
+    }
+
+    /**
+     * Tells the mesh background whether it may animate: only while shown,
+     * playing and enabled (mesh.js also checks motion preferences and its budget).
+     */
+    function updateBackground() {
+        if (!state.mesh) return;
+        const video = document.querySelector('video');
+        state.mesh.setState({
+            enabled: CONFIG.animatedBackground,
+            visible: !document.hidden && document.body.classList.contains(CONFIG.layoutClass),
+            playing: !!video && !video.paused
+        });
     }
     
-    function renderLyrics(data) {
-        if (!DOM.lyrics) return;
-        DOM.lyrics.innerHTML = '';
-        state.lyricLines = [];
+    /**
+     * A place lyrics are rendered: the immersive UI or the picture-in-picture
+     * window. Each keeps its own elements and highlight, so a hidden view is
+     * left alone and catches up when shown again.
+     * @param {HTMLElement} container
+     * @param {function(): boolean} isVisible
+     * @param {function(number): void} scrollPlain - Scrolls plain lyrics to a playback ratio (0-1).
+     */
+    function createLyricsView(container, isVisible, scrollPlain) {
+        ['wheel', 'touchmove'].forEach(type => container.addEventListener(type, pausePlainAutoScroll, { passive: true }));
+        return {
+            container, isVisible, scrollPlain,
+            lines: [],
+            words: [],       // Word <span>s per line (enhanced LRC only)
+            activeIndex: -1  // Highlighted line in `lines`
+        };
+    }
+
+    function getLyricsViews() {
+        return [state.mainView, state.pipView].filter(Boolean);
+    }
+
+    /**
+     * Renders the current lyrics, or the status message, into every view.
+     */
+    function renderLyrics() {
+        getLyricsViews().forEach(renderLyricsView);
+        state.activeIndex = -1;
+    }
+
+    function renderLyricsView(view) {
+        view.container.innerHTML = '';
+        view.lines = [];
+        view.words = [];
+        view.activeIndex = -1;
+        if (state.lyricsType === 'synced') renderSyncedLines(view, state.lyrics);
+        else if (state.lyricsType === 'plain') renderPlainLines(view, state.plainText);
+        else renderStatusLine(view, state.lyricsStatus);
+    }
+
+    function renderSyncedLines(view, data) {
         const frag = document.createDocumentFragment();
-        data.forEach((line) => {
+        data.forEach((line, index) => {
             const p = document.createElement('div');
             p.className = 'lyric-line';
-            p.textContent = line.text;
-            p.onclick = () => {
-                const video = document.querySelector('video');
-                if (video) video.currentTime = line.time;
-            };
+            if (line.words && line.words.length > 0) {
+                // Word-timed line: one span per word for karaoke fill
+                p.classList.add('has-words');
+                view.words[index] = line.words.map(word => {
+                    const span = document.createElement('span');
+                    span.className = 'lyric-word';
+                    span.textContent = word.text;
+                    p.appendChild(span);
+                    return span;
+                });
+            } else {
+                p.textContent = line.text;
+            }
+            appendSubLines(p, line.text, line.translation);
+            p.onclick = () => seekToLyric(line);
             frag.appendChild(p);
         });
-        DOM.lyrics.appendChild(frag);
-        state.lyricLines = Array.from(DOM.lyrics.children);
+        view.container.appendChild(frag);
+        view.lines = Array.from(view.container.children);
     }
 
-    function showErrorState(msg) {
-        if (!DOM.lyrics) return;
-        DOM.lyrics.innerHTML = `<div class="lyric-line" style="color:#ff5555; opacity:1;">${msg}</div>`;
+    function renderStatusLine(view, text) {
+        const p = document.createElement('div');
+        p.className = 'lyric-line';
+        p.textContent = text;
+        view.container.appendChild(p);
     }
-    
-    async function getVerifiedArtwork(targetTitle) {
+
+    /**
+     * Adds romanization and translation lines below a lyric line, if enabled.
+     * @param {HTMLElement} p - The `.lyric-line` element.
+     * @param {string} text - Original line text.
+     * @param {string} [translation] - Same-timestamp line from a bilingual LRC.
+     */
+    function appendSubLines(p, text, translation) {
+        const romanized = CONFIG.romanizeScripts.length ? Romanizer.romanize(text, CONFIG.romanizeScripts) : null;
+        if (romanized) {
+            const sub = document.createElement('div');
+            sub.className = 'lyric-sub romanization';
+            sub.textContent = romanized;
+            p.appendChild(sub);
+        }
+        if (translation && CONFIG.showTranslation) {
+            const sub = document.createElement('div');
+            sub.className = 'lyric-sub translation';
+            sub.textContent = translation;
+            p.appendChild(sub);
+        }
+    }
+
+    /**
+     * Renders unsynced lyrics as a static block with an "Unsynced" label.
+     * @param {object} view
+     * @param {string} text
+     */
+    function renderPlainLines(view, text) {
+        const frag = document.createDocumentFragment();
+
+        const label = document.createElement('div');
+        label.className = 'lyrics-unsynced-label';
+        label.textContent = 'Unsynced lyrics';
+        frag.appendChild(label);
+
+        text.split(/\r?\n/).forEach((lineText) => {
+            const p = document.createElement('div');
+            p.className = lineText.trim() ? 'lyric-line plain' : 'lyric-gap';
+            p.textContent = lineText;
+            appendSubLines(p, lineText);
+            frag.appendChild(p);
+        });
+        view.container.appendChild(frag);
+        view.container.scrollTop = 0;
+    }
+
+    /**
+     * Scrolls plain lyrics to the same relative position as playback.
+     * Backs off for a while after the user scrolls by hand.
+     */
+    function autoScrollPlainLyrics(view, video) {
+        if (!CONFIG.plainAutoScroll) return;
+        if (Date.now() < state.plainScrollPausedUntil) return;
+        if (!video.duration || !isFinite(video.duration)) return;
+        view.scrollPlain(Math.min(1, video.currentTime / video.duration));
+    }
+
+    function scrollMainPlainLyrics(ratio) {
+        if (isNarrowLayout()) {
+            // Mobile: the whole wrapper scrolls, lyrics container grows with content
+            const target = DOM.lyrics.offsetTop + ratio * DOM.lyrics.scrollHeight - DOM.wrapper.clientHeight / 2;
+            DOM.wrapper.scrollTop = Math.max(0, target);
+        } else {
+            DOM.lyrics.scrollTop = ratio * (DOM.lyrics.scrollHeight - DOM.lyrics.clientHeight);
+        }
+    }
+
+    function pausePlainAutoScroll() {
+        if (state.lyricsType === 'plain') {
+            state.plainScrollPausedUntil = Date.now() + CONFIG.plainScrollPauseAfterUser;
+        }
+    }
+
+    // --- Manual Lyrics Search ---
+
+    function openLyricsPicker() {
+        if (!state.currentSong || !DOM.picker) return;
+        const { title, artist } = state.currentSong;
+        DOM.pickerInput.value = `${title} ${artist}`.trim();
+        DOM.pickerRemoveBtn.hidden = state.lyricsSource !== 'override';
+        closeExportPanel();
+        DOM.picker.classList.add('open');
+        runCandidateSearch();
+    }
+
+    function closeLyricsPicker() {
+        if (DOM.picker) DOM.picker.classList.remove('open');
+    }
+
+    function runCandidateSearch() {
+        if (!state.currentSong) return;
+        const songId = state.currentSongId;
+        const { title, artist, duration } = state.currentSong;
+        DOM.pickerStatus.textContent = 'Searching...';
+        DOM.pickerList.innerHTML = '';
+        DOM.pickerSearchBtn.disabled = true;
+        try {
+            chrome.runtime.sendMessage({
+                action: "searchLyricsCandidates",
+                title, artist, duration,
+                query: DOM.pickerInput.value,
+                lang: navigator.language
+            }, (response) => {
+                const error = chrome.runtime.lastError;
+                DOM.pickerSearchBtn.disabled = false;
+                if (error && isContextInvalidatedError(error)) {
+                    invalidateContext();
+                    return;
+                }
+                if (state.currentSongId !== songId) return;
+                // A stopped service worker answers with lastError or nothing at all
+                if (error || !response || !response.success) {
+                    DOM.pickerStatus.textContent = response && response.errorCategory
+                        ? describeLyricsError(response.errorCategory)
+                        : 'Search failed. Try again.';
+                    return;
+                }
+                renderCandidates(response.data);
+            });
+        } catch (e) {
+            DOM.pickerSearchBtn.disabled = false;
+            invalidateContext();
+        }
+    }
+
+    function renderCandidates(candidates) {
+        DOM.pickerList.innerHTML = '';
+        DOM.pickerStatus.textContent = candidates.length ? `${candidates.length} results` : 'No results. Edit the search and try again.';
+        const frag = document.createDocumentFragment();
+        candidates.forEach((candidate) => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'ytm-picker-item' + (candidate.accepted ? ' accepted' : '');
+            const name = document.createElement('div'); name.className = 'ytm-picker-name';
+            name.textContent = candidate.trackName;
+            const details = document.createElement('div'); details.className = 'ytm-picker-details';
+            details.textContent = [candidate.artistName, candidate.albumName, formatDuration(candidate.duration)]
+                .filter(Boolean).join(' · ');
+            const badges = document.createElement('div'); badges.className = 'ytm-picker-badges';
+            // calculateScore() uses large negative values as "rejected" markers
+            const scoreText = candidate.score <= -1000 ? 'No match' : `Score ${candidate.score}`;
+            badges.textContent = [candidate.providerName, candidate.synced ? 'Synced' : 'Plain', scoreText].join(' · ');
+            item.append(name, details, badges);
+            item.onclick = () => selectCandidate(candidate);
+            frag.appendChild(item);
+        });
+        DOM.pickerList.appendChild(frag);
+    }
+
+    function selectCandidate(candidate) {
+        if (!state.currentSong) return;
+        const songId = state.currentSongId;
+        DOM.pickerStatus.textContent = 'Loading lyrics...';
+        try {
+            chrome.runtime.sendMessage({
+                action: "pinLyrics",
+                ...state.currentSong,
+                providerId: candidate.provider,
+                recordId: candidate.id
+            }, (response) => {
+                if (chrome.runtime.lastError || state.currentSongId !== songId) return;
+                if (!response || !response.success) {
+                    DOM.pickerStatus.textContent = 'Could not load these lyrics.';
+                    return;
+                }
+                applyLyricsResponse(response);
+                closeLyricsPicker();
+            });
+        } catch (e) {
+            invalidateContext();
+        }
+    }
+
+    /**
+     * Sends a local lyrics file to the background, which validates it with
+     * LRC.parse() and stores it as this song's override.
+     * @param {File} file
+     */
+    async function importLyricsFile(file) {
+        if (!file || !state.currentSong) return;
+        if (file.size > CONFIG.importMaxBytes) {
+            DOM.pickerStatus.textContent = 'File is too large.';
+            return;
+        }
+        const songId = state.currentSongId;
+        let content;
+        try {
+            content = await file.text();
+        } catch (e) {
+            // Moved or deleted since it was picked, unreadable, ...
+            if (state.currentSongId === songId) DOM.pickerStatus.textContent = 'Could not read the file.';
+            return;
+        }
+        if (state.currentSongId !== songId) return;
+        DOM.pickerStatus.textContent = 'Importing...';
+        try {
+            chrome.runtime.sendMessage({
+                action: "importLyricsOverride",
+                ...state.currentSong,
+                content, fileName: file.name
+            }, (response) => {
+                if (chrome.runtime.lastError || state.currentSongId !== songId) return;
+                if (!response || !response.success) {
+                    DOM.pickerStatus.textContent = `Import failed: ${(response && response.error) || 'unknown error'}`;
+                    return;
+                }
+                applyLyricsResponse(response);
+                closeLyricsPicker();
+            });
+        } catch (e) {
+            invalidateContext();
+        }
+    }
+
+    function removeLyricsOverride() {
+        if (!state.currentSong) return;
+        const { title, artist, videoId, duration } = state.currentSong;
+        try {
+            chrome.runtime.sendMessage({ action: "removeLyricsOverride", title, artist, videoId, duration }, (response) => {
+                if (chrome.runtime.lastError || !response || !response.success) return;
+                closeLyricsPicker();
+                requestLyrics();
+            });
+        } catch (e) {
+            invalidateContext();
+        }
+    }
+
+    function formatDuration(seconds) {
+        if (!seconds) return "";
+        const total = Math.round(seconds);
+        return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+    }
+
+    // --- Lyrics Export ---
+
+    /**
+     * Opens the export panel for the current lyrics, with the current line
+     * preselected. Also refreshes it when new lyrics arrive while it is open.
+     */
+    function openExportPanel() {
+        if (!state.currentSong || !DOM.exportPanel) return;
+        closeLyricsPicker();
+        const lines = getExportLines();
+        const active = state.lyricsType === 'synced' && state.activeIndex >= 0 ? state.activeIndex : -1;
+        state.exportSelection = active >= 0 ? { anchor: active, focus: active } : null;
+        DOM.exportFormatBtns.forEach(btn => {
+            const format = LyricsExport.FORMATS[btn.dataset.format];
+            btn.disabled = !state.lyricsType || (format.synced && state.lyricsType !== 'synced');
+        });
+        renderExportList(lines);
+        DOM.exportStatus.textContent = lines.length
+            ? 'Click a line to select it, Shift+click to select a range.'
+            : 'No lyrics to export.';
+        DOM.exportPanel.classList.add('open');
+        if (active >= 0) DOM.exportList.children[active].scrollIntoView({ block: 'center' });
+    }
+
+    function closeExportPanel() {
+        if (DOM.exportPanel) DOM.exportPanel.classList.remove('open');
+    }
+
+    function isExportPanelOpen() {
+        return !!DOM.exportPanel && DOM.exportPanel.classList.contains('open');
+    }
+
+    /**
+     * @returns {string[]} The lines as shown, without blank lines of plain lyrics.
+     */
+    function getExportLines() {
+        if (state.lyricsType === 'synced') return state.lyrics.map(line => line.text);
+        if (state.lyricsType === 'plain') return state.plainText.split(/\r?\n/).filter(line => line.trim());
+        return [];
+    }
+
+    /**
+     * @returns {object|null} Typed lyrics for LyricsExport, timed as they are
+     *   displayed (sync offset applied).
+     */
+    function getExportLyrics() {
+        if (state.lyricsType === 'synced') {
+            return { type: 'synced', lines: LyricsExport.applyOffset(state.lyrics, state.syncOffset) };
+        }
+        if (state.lyricsType === 'plain') return { type: 'plain', text: state.plainText };
+        return null;
+    }
+
+    function getExportTrack() {
+        const { title, artist, album, duration } = state.currentSong;
+        return { title, artist, album, duration: duration || getVideoDuration() };
+    }
+
+    function renderExportList(lines) {
+        DOM.exportList.innerHTML = '';
+        const frag = document.createDocumentFragment();
+        lines.forEach((text, index) => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'ytm-export-line';
+            item.textContent = text;
+            item.onclick = (e) => selectExportLine(index, e.shiftKey);
+            frag.appendChild(item);
+        });
+        DOM.exportList.appendChild(frag);
+        updateExportSelection();
+    }
+
+    /**
+     * @returns {{start: number, end: number}|null} Selected line range (inclusive).
+     */
+    function getExportRange() {
+        const selection = state.exportSelection;
+        if (!selection) return null;
+        return { start: Math.min(selection.anchor, selection.focus), end: Math.max(selection.anchor, selection.focus) };
+    }
+
+    function selectExportLine(index, extend) {
+        const anchor = extend && state.exportSelection ? state.exportSelection.anchor : index;
+        state.exportSelection = { anchor, focus: index };
+        updateExportSelection();
+    }
+
+    function updateExportSelection() {
+        const range = getExportRange();
+        Array.from(DOM.exportList.children).forEach((item, index) => {
+            item.classList.toggle('selected', !!range && index >= range.start && index <= range.end);
+        });
+        DOM.exportCopyBtn.disabled = !range;
+        DOM.exportCardBtn.disabled = !range;
+    }
+
+    function getSelectedLines() {
+        const range = getExportRange();
+        return range ? getExportLines().slice(range.start, range.end + 1) : [];
+    }
+
+    function saveLyricsFile(format) {
+        const lyrics = getExportLyrics();
+        if (!lyrics) return;
+        const track = getExportTrack();
+        const text = LyricsExport.format(format, track, lyrics);
+        if (text === null) return;
+        const { extension, mime } = LyricsExport.FORMATS[format];
+        const fileName = LyricsExport.fileName(track, extension);
+        downloadBlob(new Blob([text], { type: `${mime};charset=utf-8` }), fileName);
+        DOM.exportStatus.textContent = `Saved ${fileName}`;
+    }
+
+    async function copySelectedLines() {
+        const lines = getSelectedLines();
+        if (!lines.length) return;
+        try {
+            await navigator.clipboard.writeText(lines.join('\n'));
+            DOM.exportStatus.textContent = lines.length === 1 ? 'Copied 1 line.' : `Copied ${lines.length} lines.`;
+        } catch (e) {
+            DOM.exportStatus.textContent = 'Could not copy to the clipboard.';
+        }
+    }
+
+    /**
+     * Draws the selected lines over the artwork and palette (lyrics-export.js)
+     * and downloads the PNG.
+     */
+    async function saveLyricCard() {
+        const lines = getSelectedLines();
+        if (!lines.length) return;
+        const songId = state.currentSongId;
+        const track = getExportTrack();
+        DOM.exportStatus.textContent = 'Drawing card...';
+        DOM.exportCardBtn.disabled = true;
+        try {
+            const blob = await LyricsExport.renderCard({
+                lines,
+                title: track.title,
+                artist: track.artist,
+                // The previous song's artwork stays until the new one is known
+                artworkUrl: state.artworkResolved ? state.artworkUrl : null,
+                palette: state.palettes.get(songId) || null,
+                fontFamily: (state.theme && state.theme.fontFamily) || '-apple-system, sans-serif'
+            });
+            if (state.currentSongId !== songId) return;
+            const fileName = LyricsExport.fileName(track, 'png');
+            downloadBlob(blob, fileName);
+            DOM.exportStatus.textContent = `Saved ${fileName}`;
+        } catch (e) {
+            console.warn('[YTM Modern UI] Lyric card failed:', e);
+            DOM.exportStatus.textContent = 'Could not draw the card.';
+        } finally {
+            if (state.currentSongId === songId) updateExportSelection();
+        }
+    }
+
+    function downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * High resolution artwork from MediaSession, once it describes `targetTitle`.
+     * YTM updates MediaSession a little after the player bar.
+     * @returns {string|null}
+     */
+    function getSessionArtwork(targetTitle) {
         const normalize = (str) => str ? str.toLowerCase().replace(/\s+/g, '') : "";
         const normTarget = normalize(targetTitle);
-        
-        // Try getting artwork from MediaSession (High Resolution)
-        for (let i = 0; i < CONFIG.artworkMaxRetries; i++) {
-            if ('mediaSession' in navigator && navigator.mediaSession.metadata) {
-                const meta = navigator.mediaSession.metadata;
-                const normMetaTitle = normalize(meta.title);
-                if (normMetaTitle.includes(normTarget) || normTarget.includes(normMetaTitle)) {
-                    if (meta.artwork && meta.artwork.length > 0) {
-                        return meta.artwork[meta.artwork.length - 1].src;
-                    }
-                }
+        const meta = 'mediaSession' in navigator ? navigator.mediaSession.metadata : null;
+        if (!meta || !meta.artwork || meta.artwork.length === 0) return null;
+        const normMetaTitle = normalize(meta.title);
+        if (!normMetaTitle.includes(normTarget) && !normTarget.includes(normMetaTitle)) return null;
+        return meta.artwork[meta.artwork.length - 1].src;
+    }
+
+    /**
+     * Shows the current song's artwork as soon as MediaSession has it.
+     * MediaSession fires no change events, so this is re-run from player bar
+     * mutations (the thumbnail changes with it) and media events until it
+     * succeeds; after `artworkWaitTimeout` the player bar thumbnail is used.
+     */
+    function resolveArtwork() {
+        if (state.artworkResolved || !state.currentSong) return;
+        const url = getSessionArtwork(state.currentSong.title);
+        if (url) {
+            applyArtwork(url);
+        } else if (!state.artworkTimer) {
+            state.artworkTimer = setTimeout(() => {
+                state.artworkTimer = null;
+                if (state.artworkResolved) return;
+                const fallbackImg = document.querySelector('.thumbnail-image-wrapper img');
+                applyArtwork(fallbackImg ? fallbackImg.src : null);
+            }, CONFIG.artworkWaitTimeout);
+        }
+    }
+
+    function applyArtwork(url) {
+        clearTimeout(state.artworkTimer);
+        state.artworkTimer = null;
+        state.artworkResolved = true;
+        if (!url) return;
+        state.artworkUrl = url;
+        updatePipTrack();
+        if (DOM.artwork) DOM.artwork.innerHTML = `<img src="${url}" crossorigin="anonymous">`;
+        if (DOM.bg) DOM.bg.style.backgroundImage = `url(${url})`;
+        applyPalette(url);
+        // Re-broadcast after artwork is settled
+        broadcastCurrentState(true);
+    }
+
+    /**
+     * Themes the UI after the artwork: the palette becomes `--ytm-color-*`
+     * custom properties on the wrapper, which style.css falls back from.
+     */
+    async function applyPalette(url) {
+        const songId = state.currentSongId;
+        let palette = state.palettes.get(songId);
+        if (palette === undefined) {
+            palette = await Palette.extract(url);
+            state.palettes.set(songId, palette);
+            if (state.palettes.size > CONFIG.paletteCacheSize) {
+                state.palettes.delete(state.palettes.keys().next().value);
             }
-            await new Promise(r => setTimeout(r, CONFIG.artworkRetryInterval));
         }
-        // Fallback to DOM image
-        const fallbackImg = document.querySelector('.thumbnail-image-wrapper img');
-        return fallbackImg ? fallbackImg.src : null;
+        if (state.currentSongId !== songId || !DOM.wrapper) return;
+        if (state.mesh) state.mesh.setState({ colors: palette ? palette.swatches : null });
+        applyPaletteColors();
+    }
+
+    /**
+     * Sets the current track's palette on the wrapper (and the picture-in-picture
+     * window). Themes may keep the text white, in which case only the
+     * background colors are set.
+     */
+    function applyPaletteColors() {
+        const palette = state.palettes.get(state.currentSongId);
+        const textColors = !state.theme || state.theme.artworkColors;
+        [DOM.wrapper, DOM.pipRoot].forEach(el => {
+            if (!el) return;
+            ['dominant', 'vibrant', 'muted', 'active', 'title'].forEach(name => {
+                const isText = name === 'active' || name === 'title';
+                if (palette && (textColors || !isText)) el.style.setProperty(`--ytm-color-${name}`, palette[name]);
+                else el.style.removeProperty(`--ytm-color-${name}`);
+            });
+        });
+    }
+
+    /**
+     * Sets the selected theme's custom properties (see style.css) on the
+     * background, the wrapper and the picture-in-picture window. Called again
+     * when createUI() or createPipUI() builds them.
+     * @param {object} [themes] - Validated theme store from themes.js.
+     */
+    function applyTheme(themes) {
+        if (themes) state.theme = Themes.active(themes).values;
+        if (!state.theme) return;
+        const properties = Themes.toCssProperties(state.theme);
+        [DOM.bg, DOM.wrapper, DOM.pipRoot].forEach(el => {
+            if (!el) return;
+            for (const [name, value] of Object.entries(properties)) {
+                if (value === null) el.style.removeProperty(name);
+                else el.style.setProperty(name, value);
+            }
+        });
+        applyPaletteColors();
     }
 
     // --- 3. State Broadcasting (New Feature) ---
@@ -132,42 +880,31 @@
      * Returns a normalized object ready for broadcasting.
      */
     function capturePlayerState() {
-        const titleEl = document.querySelector('yt-formatted-string.title.style-scope.ytmusic-player-bar');
-        const subtitleEl = document.querySelector('.byline.style-scope.ytmusic-player-bar');
+        const track = TrackMetadata.read();
         const video = document.querySelector('video');
-        const artworkEl = document.querySelector('ytmusic-player-bar .thumbnail-image-wrapper img');
 
         // Basic validation
-        if (!titleEl || !subtitleEl) return null;
-
-        const title = titleEl.textContent;
-        const bylineText = subtitleEl.textContent;
-        const artist = bylineText.split('•')[0].trim();
-        const album = (navigator.mediaSession.metadata && navigator.mediaSession.metadata.album) || "";
+        if (!track) return null;
         
         // Determine playback status
         // If video exists and is not paused, we consider it playing.
         const isPlaying = video ? !video.paused : false;
         const currentTime = video ? video.currentTime : 0;
-        const duration = video ? video.duration : 0;
-
-        // Artwork: Prefer MediaSession, fallback to DOM
-        let artworkUrl = artworkEl ? artworkEl.src : null;
-        if ('mediaSession' in navigator && navigator.mediaSession.metadata) {
-            const meta = navigator.mediaSession.metadata;
-            if (meta.artwork && meta.artwork.length > 0) {
-                artworkUrl = meta.artwork[meta.artwork.length - 1].src;
-            }
-        }
+        const duration = video ? video.duration : track.duration;
 
         return {
-            title,
-            artist,
-            album,
-            artwork: artworkUrl,
+            videoId: track.videoId,
+            title: track.title,
+            artist: track.artist,
+            artists: track.artists.concat(track.featuredArtists),
+            album: track.album,
+            artwork: track.artwork,
             status: isPlaying ? 'playing' : 'paused',
             currentTime,
             duration,
+            // Lyrics preview for the popup (synced lyrics only); the lines
+            // themselves are added by broadcastCurrentState() when they change
+            lyricIndex: video ? findActiveLyricIndex(getLyricsTime(video)) : -1,
             timestamp: Date.now()
         };
     }
@@ -186,10 +923,12 @@
         // Create a simple hash to check if data actually changed
         // We exclude 'currentTime' and 'timestamp' from hash to avoid spamming every second
         const dataHash = JSON.stringify({
+            v: playerData.videoId,
             t: playerData.title,
             a: playerData.artist,
             s: playerData.status,
-            art: playerData.artwork
+            art: playerData.artwork,
+            l: playerData.lyricIndex // Line changes reach the popup without waiting for the throttle
         });
 
         const now = Date.now();
@@ -200,6 +939,12 @@
         if (shouldSend) {
             state.lastBroadcastHash = dataHash;
             state.lastBroadcastTime = now;
+            // background.js keeps the lines until new ones arrive; forced
+            // broadcasts (song change, popup opened) resend them in case one was lost
+            if (force || state.lyrics !== state.broadcastLyrics) {
+                state.broadcastLyrics = state.lyrics;
+                playerData.lyricLines = state.lyrics.map(line => line.text);
+            }
 
             try {
                 chrome.runtime.sendMessage({
@@ -209,120 +954,734 @@
             } catch (e) {
                 // Extension context invalidated (e.g., update or disabled)
                 console.warn("[YTM Modern UI] Context invalidated during broadcast:", e);
-                state.isContextInvalidated = true;
+                invalidateContext();
             }
         }
     }
 
     // --- 4. Core Logic (Existing & Extended) ---
+
+    /**
+     * @returns {number} Playback position on the lyrics timeline (sync offset applied).
+     */
+    function getLyricsTime(video) {
+        return getPlaybackTime(video) + state.syncOffset / 1000;
+    }
+
+    /**
+     * video.currentTime, advanced by the wall clock while it has not changed.
+     * Chrome only refreshes currentTime every few frames, which would make
+     * highlighting step instead of follow. Stalled playback is not advanced.
+     * @param {HTMLVideoElement} video
+     * @returns {number} Seconds.
+     */
+    function getPlaybackTime(video) {
+        const now = performance.now();
+        const current = video.currentTime;
+        const clock = state.clock;
+        if (current !== clock.mediaTime || video.paused || video.readyState < video.HAVE_FUTURE_DATA) {
+            clock.mediaTime = current;
+            clock.sampledAt = now;
+            return current;
+        }
+        const elapsed = (now - clock.sampledAt) / 1000 * video.playbackRate;
+        return current + Math.min(elapsed, CONFIG.maxInterpolation);
+    }
+
+    /**
+     * Binary search over the (time-sorted) lines. The current line is checked
+     * first since playback usually stays within it between frames.
+     * @param {number} lyricsTime
+     * @returns {number} Index of the last line that has started, or -1.
+     */
+    function findActiveLyricIndex(lyricsTime) {
+        const lines = state.lyrics;
+        const current = state.activeIndex;
+        if (current >= 0 && current < lines.length && lines[current].time <= lyricsTime &&
+            (current === lines.length - 1 || lyricsTime < lines[current + 1].time)) {
+            return current;
+        }
+        let low = 0;
+        let high = lines.length - 1;
+        let found = -1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (lines[mid].time <= lyricsTime) {
+                found = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return found;
+    }
+
+    /**
+     * Moves a view's highlight, touching only the previous and the new line.
+     * @param {object} view - See createLyricsView().
+     * @param {number} index - New active line, or -1 for none.
+     */
+    function setActiveLine(view, index) {
+        const previous = view.lines[view.activeIndex];
+        if (previous) previous.classList.remove(CONFIG.activeClass);
+        view.activeIndex = index;
+        const activeLine = view.lines[index];
+        if (!activeLine) return;
+        activeLine.classList.add(CONFIG.activeClass);
+        const centerInline = view === state.mainView && isNarrowLayout();
+        activeLine.scrollIntoView({ behavior: index === 0 ? "auto" : CONFIG.scrollBehavior, block: "center", inline: centerInline ? "center" : "nearest" });
+    }
+
+    function isMainViewVisible() {
+        return !document.hidden && !state.lyricsPanelHidden && document.body.classList.contains(CONFIG.layoutClass);
+    }
     
+    /**
+     * Brings the visible lyrics views up to date with playback.
+     * Called per animation frame for synced lyrics (see scheduleSync) and on
+     * timeupdate for plain lyrics.
+     */
     function handleTimeUpdate() {
-        // Existing lyrics scrolling logic
-        if (state.lyrics.length && document.body.classList.contains(CONFIG.layoutClass)) {
-            const video = document.querySelector('video');
-            if (video) {
-                let activeIndex = -1;
-                for (let i = 0; i < state.lyrics.length; i++) {
-                    if (video.currentTime >= state.lyrics[i].time) activeIndex = i;
-                    else break;
-                }
-                if (activeIndex !== -1 && state.lyricLines[activeIndex]) {
-                    const activeLine = state.lyricLines[activeIndex];
-                    if (!activeLine.classList.contains(CONFIG.activeClass)) {
-                        state.lyricLines.forEach(l => l.classList.remove(CONFIG.activeClass));
-                        activeLine.classList.add(CONFIG.activeClass);
-                        const isMobile = window.innerWidth <= 950;
-                        activeLine.scrollIntoView({ behavior: activeIndex === 0 ? "auto" : CONFIG.scrollBehavior, block: "center", inline: isMobile ? "center" : "nearest" });
-                    }
-                }
+        const views = getLyricsViews().filter(view => view.isVisible());
+        if (views.length === 0) return;
+        const video = document.querySelector('video');
+        if (!video) return;
+        if (state.lyricsType === 'plain') {
+            views.forEach(view => autoScrollPlainLyrics(view, video));
+            return;
+        }
+        if (!state.lyrics.length) return;
+        const lyricsTime = getLyricsTime(video);
+        const activeIndex = findActiveLyricIndex(lyricsTime);
+        state.activeIndex = activeIndex;
+        views.forEach(view => {
+            if (activeIndex !== view.activeIndex) setActiveLine(view, activeIndex);
+            if (activeIndex !== -1) updateWordProgress(view, activeIndex, lyricsTime);
+        });
+    }
+
+    /**
+     * Runs handleTimeUpdate on every animation frame while synced lyrics are
+     * on screen and playing; otherwise updates once and lets the loop end.
+     * Call whenever one of those conditions may have changed.
+     */
+    function scheduleSync() {
+        if (shouldRunSyncLoop()) {
+            if (!state.syncFrameId) requestSyncFrame();
+            return;
+        }
+        stopSync();
+        handleTimeUpdate();
+    }
+
+    function shouldRunSyncLoop() {
+        const video = document.querySelector('video');
+        return !!video && !video.paused && state.lyricsType === 'synced' &&
+            getLyricsViews().some(view => view.isVisible()) && !state.isContextInvalidated;
+    }
+
+    /**
+     * The YTM tab gets no animation frames while it is in the background, so
+     * the loop runs on the picture-in-picture window while that is open.
+     */
+    function requestSyncFrame() {
+        state.syncFrameWindow = DOM.pipWindow || window;
+        state.syncFrameId = state.syncFrameWindow.requestAnimationFrame(syncFrame);
+    }
+
+    function syncFrame() {
+        state.syncFrameId = null;
+        handleTimeUpdate();
+        if (shouldRunSyncLoop()) requestSyncFrame();
+    }
+
+    function stopSync() {
+        if (state.syncFrameId) state.syncFrameWindow.cancelAnimationFrame(state.syncFrameId);
+        state.syncFrameId = null;
+    }
+
+    /**
+     * Fills the words of the active line according to their own timings.
+     * A word without an explicit end time lasts until the next word or line.
+     * @param {object} view
+     * @param {number} index - Active line index.
+     * @param {number} currentTime - Playback position in seconds.
+     */
+    function updateWordProgress(view, index, currentTime) {
+        const line = state.lyrics[index];
+        const spans = view.words[index];
+        if (!line || !line.words || !spans) return;
+
+        const nextLine = state.lyrics[index + 1];
+        line.words.forEach((word, i) => {
+            const nextWord = line.words[i + 1];
+            const end = word.end ?? (nextWord ? nextWord.time : (nextLine ? nextLine.time : word.time + 1));
+            const progress = Math.min(1, Math.max(0, (currentTime - word.time) / Math.max(end - word.time, 0.01)));
+            spans[i].style.backgroundSize = `${(progress * 100).toFixed(1)}% 100%`;
+        });
+    }
+
+    /**
+     * Shifts the lyrics timing of the current song and persists it (debounced)
+     * into the song's cache entry via the background script.
+     * @param {number} delta - Change in milliseconds; `null` resets to zero.
+     */
+    function nudgeSyncOffset(delta) {
+        if (!state.currentSong || state.lyrics.length === 0) return;
+        state.syncOffset = delta === null ? 0 : state.syncOffset + delta;
+        showOffsetIndicator();
+        handleTimeUpdate();
+
+        const { title, artist, videoId, duration } = state.currentSong;
+        const offset = state.syncOffset;
+        clearTimeout(state.offsetSaveTimer);
+        state.offsetSaveTimer = setTimeout(() => {
+            try {
+                chrome.runtime.sendMessage({ action: "saveSyncOffset", title, artist, videoId, duration, offset });
+            } catch (e) {
+                invalidateContext();
             }
+        }, CONFIG.offsetSaveDelay);
+    }
+
+    function showOffsetIndicator() {
+        if (!DOM.offsetIndicator) return;
+        const seconds = (state.syncOffset / 1000).toFixed(1);
+        DOM.offsetIndicator.textContent = `Sync ${state.syncOffset > 0 ? '+' : ''}${seconds}s`;
+        DOM.offsetIndicator.classList.add('visible');
+        clearTimeout(state.offsetIndicatorTimer);
+        state.offsetIndicatorTimer = setTimeout(() => {
+            DOM.offsetIndicator.classList.remove('visible');
+        }, CONFIG.offsetIndicatorDuration);
+    }
+
+    // --- Keyboard Shortcuts ---
+
+    /**
+     * In-page hotkeys (capture phase, so YTM's own shortcuts don't see them).
+     * Only active while the immersive layout is shown (always in the PiP window)
+     * and nothing is being typed.
+     */
+    function handleHotkeys(e) {
+        if (e.currentTarget === document && !document.body.classList.contains(CONFIG.layoutClass)) return;
+        const target = e.target;
+        if (target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName))) return;
+
+        let run = null;
+        if (e.key === 'Escape' && DOM.help && DOM.help.classList.contains('visible')) {
+            run = () => toggleHelp(false);
+        } else if (e.key === 'Escape' && isExportPanelOpen()) {
+            run = closeExportPanel;
+        } else {
+            const hotkey = HOTKEYS.find(h => Settings.matchesKey(e, CONFIG.hotkeys[h.setting], h.largeWithShift));
+            if (hotkey) run = () => executeCommand(hotkey.command, hotkey.largeWithShift && e.shiftKey);
+        }
+        if (!run) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+        run();
+    }
+
+    /**
+     * Runs a shortcut command, from an in-page hotkey or from chrome.commands
+     * (forwarded by background.js).
+     * @param {string} command
+     * @param {boolean} [large] - Use the larger sync nudge step.
+     * @returns {boolean} Whether the command is known.
+     */
+    function executeCommand(command, large = false) {
+        const step = large ? CONFIG.offsetStepLarge : CONFIG.offsetStep;
+        switch (command) {
+            case 'offset-earlier': nudgeSyncOffset(step); return true;
+            case 'offset-later': nudgeSyncOffset(-step); return true;
+            case 'offset-reset': nudgeSyncOffset(null); return true;
+            case 'previous-line': seekToAdjacentLine(-1); return true;
+            case 'next-line': seekToAdjacentLine(1); return true;
+            case 'toggle-lyrics': toggleLyricsPanel(); return true;
+            case 'toggle-pip': togglePictureInPicture(); return true;
+            case 'toggle-help': toggleHelp(); return true;
+            default: return false;
+        }
+    }
+
+    function seekToLyric(line) {
+        const video = document.querySelector('video');
+        if (video) video.currentTime = Math.max(0, line.time - state.syncOffset / 1000);
+    }
+
+    /**
+     * @param {number} delta - -1 for the previous line, 1 for the next one.
+     */
+    function seekToAdjacentLine(delta) {
+        const video = document.querySelector('video');
+        if (!video || state.lyricsType !== 'synced' || state.lyrics.length === 0) return;
+        const current = findActiveLyricIndex(getLyricsTime(video));
+        const index = Math.max(0, Math.min(state.lyrics.length - 1, current + delta));
+        seekToLyric(state.lyrics[index]);
+    }
+
+    function toggleLyricsPanel() {
+        state.lyricsPanelHidden = !state.lyricsPanelHidden;
+        document.body.classList.toggle(CONFIG.lyricsHiddenClass, state.lyricsPanelHidden);
+        // Back at the playing line when shown again
+        if (!state.lyricsPanelHidden && state.mainView) setActiveLine(state.mainView, state.mainView.activeIndex);
+        scheduleSync();
+    }
+
+    /**
+     * @param {boolean} [show] - Defaults to toggling.
+     */
+    function toggleHelp(show) {
+        if (!DOM.help) return;
+        const visible = show === undefined ? !DOM.help.classList.contains('visible') : show;
+        if (visible) renderHelp();
+        DOM.help.classList.toggle('visible', visible);
+    }
+
+    /**
+     * Lists the in-page hotkeys and the browser-wide shortcuts (chrome.commands,
+     * only readable by the background script).
+     */
+    function renderHelp() {
+        const panel = document.createElement('div');
+        panel.className = 'ytm-help-panel';
+        const browserRows = document.createElement('div');
+        browserRows.textContent = 'Loading...';
+        const note = document.createElement('div');
+        note.className = 'ytm-help-note';
+        note.textContent = 'Change these on the options page and at chrome://extensions/shortcuts.';
+        panel.append(
+            createHelpHeading('In the full-screen player'),
+            ...HOTKEYS.map(h => createHelpRow(SETTINGS_SCHEMA[h.setting].label, Settings.describeKey(CONFIG.hotkeys[h.setting]))),
+            createHelpHeading('Anywhere in the browser'),
+            browserRows,
+            note
+        );
+        DOM.help.replaceChildren(panel);
+
+        try {
+            chrome.runtime.sendMessage({ action: 'getCommands' }, (response) => {
+                if (chrome.runtime.lastError || !response || !response.success) {
+                    browserRows.textContent = '';
+                    return;
+                }
+                browserRows.replaceChildren(...response.data.map(c => createHelpRow(c.description, c.shortcut)));
+            });
+        } catch (e) {
+            invalidateContext();
+        }
+    }
+
+    function createHelpHeading(text) {
+        const heading = document.createElement('h3');
+        heading.textContent = text;
+        return heading;
+    }
+
+    function createHelpRow(label, binding) {
+        const row = document.createElement('div');
+        row.className = 'ytm-help-row';
+        const name = document.createElement('span');
+        name.textContent = label;
+        const key = document.createElement('kbd');
+        key.textContent = binding || 'Not set';
+        if (!binding) key.className = 'unset';
+        row.append(name, key);
+        return row;
+    }
+
+    // --- Picture-in-Picture ---
+    // A small always-on-top window (Document Picture-in-Picture) with the
+    // artwork, title and lyrics, for when YTM itself is not on screen. Its
+    // lyrics are a second view rendered and synced like the main one.
+
+    /**
+     * Opens the window, or closes it when open. Opening needs a user gesture
+     * (the "Pop out" button or the hotkey).
+     */
+    async function togglePictureInPicture() {
+        if (DOM.pipWindow) {
+            DOM.pipWindow.close();
+            return;
+        }
+        if (!window.documentPictureInPicture) return;
+        let pipWindow;
+        try {
+            pipWindow = await window.documentPictureInPicture.requestWindow(CONFIG.pipSize);
+        } catch (e) {
+            console.warn('[YTM Modern UI] Picture-in-picture window could not be opened:', e);
+            return;
+        }
+        if (state.isContextInvalidated) {
+            pipWindow.close();
+            return;
         }
+        createPipUI(pipWindow);
+    }
+
+    function createPipUI(pipWindow) {
+        const doc = pipWindow.document;
+        const stylesheet = doc.createElement('link');
+        stylesheet.rel = 'stylesheet';
+        stylesheet.href = chrome.runtime.getURL(CONFIG.pipStylesheet);
+        doc.head.appendChild(stylesheet);
+
+        DOM.pipWindow = pipWindow;
+        DOM.pipRoot = doc.body;
+        DOM.pipBg = document.createElement('div'); DOM.pipBg.id = 'ytm-pip-bg';
+        const header = document.createElement('div'); header.id = 'ytm-pip-header';
+        DOM.pipArtwork = document.createElement('img'); DOM.pipArtwork.id = 'ytm-pip-artwork'; DOM.pipArtwork.alt = '';
+        const info = document.createElement('div'); info.id = 'ytm-pip-info';
+        DOM.pipTitle = document.createElement('div'); DOM.pipTitle.id = 'ytm-pip-title';
+        DOM.pipArtist = document.createElement('div'); DOM.pipArtist.id = 'ytm-pip-artist';
+        info.append(DOM.pipTitle, DOM.pipArtist);
+        const controls = document.createElement('div'); controls.id = 'ytm-pip-controls';
+        const createControl = (label, text, command) => {
+            const button = document.createElement('button');
+            button.title = label; button.textContent = text;
+            button.onclick = () => executePlayerControl(command);
+            controls.appendChild(button);
+            return button;
+        };
+        createControl('Previous', '⏮', 'previous');
+        DOM.pipPlayBtn = createControl('Play/Pause', '▶', 'togglePlay');
+        createControl('Next', '⏭', 'next');
+        header.append(DOM.pipArtwork, info, controls);
+        const lyrics = document.createElement('div'); lyrics.id = 'ytm-pip-lyrics';
+        DOM.pipRoot.append(DOM.pipBg, header, lyrics);
+
+        state.pipView = createLyricsView(lyrics, () => !doc.hidden, (ratio) => {
+            lyrics.scrollTop = ratio * (lyrics.scrollHeight - lyrics.clientHeight);
+        });
+        doc.addEventListener('visibilitychange', scheduleSync);
+        // Keys pressed while the PiP window has focus never reach YTM's document
+        doc.addEventListener('keydown', handleHotkeys, true);
+        // Fires when the user closes the window, YTM's tab goes away or close() is called
+        pipWindow.addEventListener('pagehide', onPipClosed);
+
+        updatePipTrack();
+        updatePipPlayState();
+        applyTheme();
+        renderLyricsView(state.pipView);
+        // Move the frame loop over to the new window
+        stopSync();
+        scheduleSync();
     }
 
-    async function onSongChanged() {
+    function onPipClosed() {
+        DOM.pipWindow.document.removeEventListener('keydown', handleHotkeys, true);
+        stopSync();
+        DOM.pipWindow = DOM.pipRoot = DOM.pipBg = DOM.pipArtwork = DOM.pipTitle = DOM.pipArtist = DOM.pipPlayBtn = null;
+        state.pipView = null;
+        scheduleSync();
+    }
+
+    /**
+     * Shows the current song's title, artist and artwork in the window.
+     */
+    function updatePipTrack() {
+        if (!DOM.pipWindow || !state.currentSong) return;
+        DOM.pipWindow.document.title = state.currentSong.title;
+        DOM.pipTitle.textContent = state.currentSong.title;
+        DOM.pipArtist.textContent = state.currentSong.artist;
+        if (state.artworkUrl) {
+            DOM.pipArtwork.src = state.artworkUrl;
+            DOM.pipBg.style.backgroundImage = `url(${state.artworkUrl})`;
+        }
+    }
+
+    function updatePipPlayState() {
+        if (!DOM.pipPlayBtn) return;
+        const video = document.querySelector('video');
+        DOM.pipPlayBtn.textContent = video && !video.paused ? '⏸' : '▶';
+    }
+
+    function onSongChanged() {
         if (state.isContextInvalidated) return;
         
         // 1. Capture basic info
-        const titleEl = document.querySelector('yt-formatted-string.title.style-scope.ytmusic-player-bar');
-        const subtitleEl = document.querySelector('.byline.style-scope.ytmusic-player-bar');
-        if (!titleEl || !subtitleEl) return;
-        
-        const title = titleEl.textContent;
-        const bylineText = subtitleEl.textContent;
-        const bylineParts = bylineText.split('•').map(s => s.trim());
-        const artist = bylineParts[0] || "";
-        const album = (navigator.mediaSession.metadata && navigator.mediaSession.metadata.album) || (bylineParts.length > 1 ? bylineParts[1] : "");
+        const track = TrackMetadata.read();
+        if (!track) return;
+        const { title, artist, album, videoId } = track;
 
-        const songId = `${title}|||${artist}`;
+        // Covers, live versions and remasters share titles, so the video ID comes first
+        const songId = `${videoId || ''}|||${title}|||${artist}`;
         
+        // Previous song's lyrics must not be broadcast with the new title
+        if (state.currentSongId !== songId) state.lyrics = [];
+
         // 2. Broadcast immediately when song changes (Force update)
         broadcastCurrentState(true);
+        // The broadcast is what notices a reloaded extension
+        if (state.isContextInvalidated) return;
 
-        if (state.currentSongId === songId) return;
+        if (state.currentSongId === songId) {
+            // Mutations after the change usually mean MediaSession caught up too
+            resolveArtwork();
+            return;
+        }
 
         // 3. Update internal state for Lyrics fetching
         state.currentSongId = songId;
-        state.fetchRequestId++; 
-        const currentRequestId = state.fetchRequestId;
+        state.currentSong = { title, artist, album, duration: 0, videoId };
+        closeLyricsPicker();
+        closeExportPanel();
+        state.syncOffset = 0;
+        state.lyricsError = null;
+        state.lyricsType = null;
+        state.lyricsSource = null;
+        state.lyricsStatus = 'Loading...';
+        clearTimeout(state.offsetSaveTimer);
+        state.fetchRequestId++;
         
         if(DOM.title) DOM.title.textContent = title;
         if(DOM.artist) DOM.artist.textContent = artist;
-        if(DOM.lyrics) DOM.lyrics.innerHTML = '<div class="lyric-line">Loading...</div>';
+        updatePipTrack();
+        renderLyrics();
         
         // Update Artwork
-        getVerifiedArtwork(title).then(url => {
-            if (url && state.currentSongId === songId) {
-                if (DOM.artwork) DOM.artwork.innerHTML = `<img src="${url}" crossorigin="anonymous">`;
-                if (DOM.bg) DOM.bg.style.backgroundImage = `url(${url})`;
-                // Re-broadcast after artwork is settled
-                broadcastCurrentState(true);
-            }
-        });
+        clearTimeout(state.artworkTimer);
+        state.artworkTimer = null;
+        state.artworkResolved = false;
+        resolveArtwork();
         
-        // Wait for duration
-        let duration = 0;
-        for (let i = 0; i < CONFIG.durationMaxRetries; i++) {
-            const video = document.querySelector('video');
-            if (video && video.duration && isFinite(video.duration)) {
-                duration = video.duration;
-                break;
-            }
-            await new Promise(r => setTimeout(r, 100));
+        // 4. Fetch Lyrics once the duration is known (it picks the right recording)
+        waitForDuration();
+    }
+
+    /**
+     * Requests lyrics now if the video reports a duration, otherwise on its
+     * next `loadedmetadata`/`durationchange`. Some streams never report one;
+     * those are looked up without it after `durationWaitTimeout`.
+     */
+    function waitForDuration() {
+        clearTimeout(state.durationTimer);
+        const duration = getVideoDuration();
+        if (duration) {
+            onDurationReady(duration);
+            return;
         }
+        state.awaitingDuration = true;
+        state.durationTimer = setTimeout(() => onDurationReady(0), CONFIG.durationWaitTimeout);
+    }
 
-        if (state.fetchRequestId !== currentRequestId) return;
-        
-        // 4. Fetch Lyrics
+    function onDurationReady(duration) {
+        clearTimeout(state.durationTimer);
+        state.awaitingDuration = false;
+        state.currentSong.duration = duration;
+        requestLyrics();
+    }
+
+    function getVideoDuration() {
+        const video = document.querySelector('video');
+        return video && video.duration && isFinite(video.duration) ? video.duration : 0;
+    }
+
+    function handleMediaMetadata() {
+        if (state.awaitingDuration) {
+            const duration = getVideoDuration();
+            if (duration) onDurationReady(duration);
+        }
+        resolveArtwork();
+    }
+
+    /**
+     * Asks the background for the current song's lyrics and renders the result.
+     * Also used to reload after the song's override is removed.
+     * @param {number} [attempt] - Retries so far after messaging failures.
+     */
+    function requestLyrics(attempt = 0) {
+        if (!state.currentSong) return;
+        const { title, artist, album, duration, videoId } = state.currentSong;
+        const currentRequestId = ++state.fetchRequestId;
+        clearTimeout(state.lyricsRetryTimer);
         try {
             chrome.runtime.sendMessage({ 
                 action: "fetchLyrics", 
-                title, artist, album,
+                title, artist, album, videoId,
                 lang: navigator.language, 
                 duration
             }, (response) => {
-                if (chrome.runtime.lastError) { 
-                    state.isContextInvalidated = true; 
-                    showErrorState("Extension invalidated. Please reload."); 
-                    return; 
-                }
+                const error = chrome.runtime.lastError;
                 if (state.fetchRequestId !== currentRequestId) return;
-                
-                if (response && response.success && response.data.length > 0) {
-                    state.lyrics = response.data;
-                    renderLyrics(response.data);
-                } else {
-                    state.lyrics = [];
-                    renderLyrics([{time: 0, text: "Lyrics not found"}]);
-                }
+                if (error) handleLyricsRequestError(error, attempt);
+                else applyLyricsResponse(response);
             });
         } catch (e) {
-            state.isContextInvalidated = true;
-            showErrorState("Please reload the page");
+            handleLyricsRequestError(e, attempt);
+        }
+    }
+
+    /**
+     * Only a reloaded or removed extension ends this instance. Anything else
+     * (the service worker restarting, a dropped port) is shown and retried.
+     * @param {Error} error - chrome.runtime.lastError or the error sendMessage threw.
+     * @param {number} attempt
+     */
+    function handleLyricsRequestError(error, attempt) {
+        if (isContextInvalidatedError(error)) {
+            invalidateContext();
+            return;
+        }
+        console.warn("[YTM Modern UI] Lyrics request failed:", error.message);
+        const delay = CONFIG.lyricsRetryDelays[attempt];
+        applyLyricsResponse({ success: false, errorCategory: delay === undefined ? 'unknown' : 'retrying' });
+        if (delay !== undefined) {
+            const requestId = state.fetchRequestId;
+            state.lyricsRetryTimer = setTimeout(() => {
+                if (state.fetchRequestId === requestId) requestLyrics(attempt + 1);
+            }, delay);
         }
     }
 
-    // --- 5. Observers & Initialization ---
+    function isContextInvalidatedError(error) {
+        return !chrome.runtime?.id || /Extension context invalidated/i.test(error && error.message || '');
+    }
+
+    /**
+     * Renders a `fetchLyrics`/`pinLyrics`/`importLyricsOverride` response for the current song.
+     * @param {{success: boolean, data: object|null, syncOffset?: number, source?: string}} response
+     */
+    function applyLyricsResponse(response) {
+        const result = response && response.success ? response.data : null;
+        state.lyricsError = response && !response.success ? response.errorCategory || 'unknown' : null;
+        state.syncOffset = 0;
+        state.lyricsSource = result ? response.source || null : null;
+        state.cachedAt = result && response.cachedAt || 0;
+        state.lyricsStale = !!(result && response.stale);
+        updateCachedIndicator();
+        if (result && result.type === 'synced' && result.lines.length > 0) {
+            state.syncOffset = response.syncOffset || 0;
+            state.lyricsType = 'synced';
+            state.lyrics = result.lines;
+        } else if (result && result.type === 'plain') {
+            state.lyricsType = 'plain';
+            state.lyrics = [];
+            state.plainText = result.text;
+            state.plainScrollPausedUntil = 0;
+        } else {
+            state.lyricsType = null;
+            state.lyrics = [];
+            state.lyricsStatus = describeLyricsError(state.lyricsError);
+        }
+        renderLyrics();
+        scheduleSync();
+        if (isExportPanelOpen()) openExportPanel();
+        // Push the new lines to the popup preview
+        broadcastCurrentState(true);
+    }
+
+    /**
+     * @param {string|null} category - errorCategory from the background, null when nothing was found.
+     */
+    function describeLyricsError(category) {
+        switch (category) {
+            case null: return "Lyrics not found";
+            case 'offline': return "You're offline. Lyrics will load when the connection is back.";
+            case 'rate_limited': return "Too many requests to the lyrics server. Try again in a moment.";
+            case 'timeout': return "The lyrics server is not responding.";
+            case 'network': return "Could not reach the lyrics server.";
+            case 'retrying': return "Could not load lyrics. Retrying...";
+            default: return "Could not load lyrics.";
+        }
+    }
+
+    /**
+     * Shows "Cached copy" when the lyrics could not be checked for updates:
+     * the browser is offline, or the copy is stale and being revalidated.
+     */
+    function updateCachedIndicator() {
+        if (!DOM.cachedIndicator) return;
+        const show = state.lyricsSource === 'cache' && (state.lyricsStale || navigator.onLine === false);
+        DOM.cachedIndicator.classList.toggle('visible', show);
+        if (!show) return;
+        const saved = state.cachedAt ? ` · saved ${new Date(state.cachedAt).toLocaleDateString()}` : '';
+        DOM.cachedIndicator.textContent = `Cached copy${navigator.onLine === false ? ' (offline)' : ''}${saved}`;
+    }
+
+    // Lookups that failed for lack of network, and stale copies, are retried once it returns
+    function handleOnline() {
+        const failedOffline = state.lyricsError === 'offline' || state.lyricsError === 'network';
+        if (failedOffline || (state.lyricsSource === 'cache' && state.lyricsStale)) requestLyrics();
+        else updateCachedIndicator();
+    }
+
+    // --- 5. Lifecycle, Observers & Initialization ---
+    // Everything is driven by events: YTM's SPA navigation, player bar
+    // mutations and media element events. Whatever is registered here is
+    // released again by invalidateContext().
+
+    /**
+     * addEventListener that invalidateContext() undoes.
+     */
+    function listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        state.cleanups.push(() => target.removeEventListener(type, handler, options));
+    }
+
+    /**
+     * The extension was reloaded or updated, so this script can no longer reach
+     * the background. Stops every observer, listener and timer and hands the
+     * page back to YTM's own layout. The new extension instance injects a fresh
+     * copy of this script into the tab (background.js), which brings the UI back.
+     */
+    function invalidateContext() {
+        if (state.isContextInvalidated) return;
+        state.isContextInvalidated = true;
+        state.cleanups.splice(0).forEach(dispose => dispose());
+        [DOM.pageObserver, DOM.songObserver, DOM.attachObserver].forEach(observer => {
+            if (observer) observer.disconnect();
+        });
+        [
+            state.songCheckTimer, state.attachTimer, state.durationTimer, state.artworkTimer,
+            state.offsetSaveTimer, state.offsetIndicatorTimer, state.lyricsRetryTimer
+        ].forEach(clearTimeout);
+        state.awaitingDuration = false;
+        stopSync();
+        if (DOM.pipWindow) DOM.pipWindow.close();
+        removeUI();
+    }
 
+    function removeUI() {
+        [DOM.bg, DOM.wrapper].forEach(el => {
+            if (el) el.remove();
+        });
+        document.body.classList.remove(
+            CONFIG.layoutClass, CONFIG.desktopBarClass, CONFIG.mobileBarClass,
+            CONFIG.wideLayoutClass, CONFIG.narrowLayoutClass, CONFIG.lyricsHiddenClass
+        );
+    }
+
+    /**
+     * Hooks into YTM's app layout, player bar and video element.
+     * They may not exist yet when this script runs and SPA navigation can
+     * replace them, so this is re-run on `yt-navigate-finish` and, while
+     * something is missing, on (debounced) page mutations.
+     */
+    function attachToPlayer() {
+        if (state.isContextInvalidated) return;
+        const observed = attachObservers();
+        const hasVideo = attachVideoListeners();
+        const attached = observed && hasVideo;
+        detectAndApplyBarMode();
+        updateLayout();
+
+        if (attached && DOM.attachObserver) {
+            DOM.attachObserver.disconnect();
+            DOM.attachObserver = null;
+        } else if (!attached && !DOM.attachObserver) {
+            DOM.attachObserver = new MutationObserver(() => {
+                clearTimeout(state.attachTimer);
+                state.attachTimer = setTimeout(attachToPlayer, CONFIG.attachDebounce);
+            });
+            DOM.attachObserver.observe(document.body, { childList: true, subtree: true });
+        }
+    }
+
+    /**
+     * @returns {boolean} Whether both the app layout and the player bar were found.
+     */
     function attachObservers() {
         const appLayout = document.querySelector('ytmusic-app-layout');
         if (appLayout && appLayout !== DOM.appLayout) {
@@ -335,30 +1694,94 @@
         if (playerBar && playerBar !== DOM.playerBar) {
             if (DOM.songObserver) DOM.songObserver.disconnect();
             DOM.playerBar = playerBar;
-            // Observe DOM changes for Song info
-            DOM.songObserver = new MutationObserver(onSongChanged);
-            DOM.songObserver.observe(playerBar, { subtree: true, characterData: true, childList: true });
+            // Title, byline and thumbnail change with the song. The time display
+            // ticks every second and is ignored; the rest arrives in bursts.
+            DOM.songObserver = new MutationObserver((records) => {
+                if (records.every(isTimeInfoMutation)) return;
+                clearTimeout(state.songCheckTimer);
+                state.songCheckTimer = setTimeout(onSongChanged, CONFIG.songCheckDebounce);
+            });
+            DOM.songObserver.observe(playerBar, {
+                subtree: true, characterData: true, childList: true,
+                attributes: true, attributeFilter: ['src']
+            });
             onSongChanged();
         }
+        return !!(appLayout && playerBar);
     }
 
+    function isTimeInfoMutation(record) {
+        const node = record.target.nodeType === Node.ELEMENT_NODE ? record.target : record.target.parentElement;
+        return !!(node && node.closest('.time-info'));
+    }
+
+    /**
+     * @returns {boolean} Whether the video element was found.
+     */
     function attachVideoListeners() {
         const video = document.querySelector('video');
-        if (video && !video.dataset.hasEnhancedListeners) {
-            // Mark as attached
-            video.dataset.hasEnhancedListeners = "true";
-
-            // 1. Play/Pause: Broadcast state immediately
-            video.addEventListener('play', () => broadcastCurrentState(true));
-            video.addEventListener('pause', () => broadcastCurrentState(true));
-            
-            // 2. TimeUpdate: Used for Lyrics scrolling AND periodic state broadcast
-            // We throttle broadcasting inside the function itself, so calling it here is safe.
-            video.addEventListener('timeupdate', () => {
-                requestAnimationFrame(handleTimeUpdate);
-                // Broadcast occasionally during playback to keep time/status sync
-                broadcastCurrentState(false); 
-            });
+        if (!video) return false;
+        if (video === DOM.video) return true;
+        DOM.video = video;
+
+        // 1. Play/Pause: Broadcast state immediately and start/stop the lyrics frame loop
+        const onPlaybackChange = () => {
+            scheduleSync();
+            updateBackground();
+            updatePipPlayState();
+            broadcastCurrentState(true);
+        };
+        listen(video, 'play', onPlaybackChange);
+        listen(video, 'pause', onPlaybackChange);
+        // Seeks (including from the popup) should show up without waiting for the throttle
+        listen(video, 'seeked', onPlaybackChange);
+
+        // 2. New media: the duration needed for the lyrics lookup becomes known
+        listen(video, 'loadedmetadata', handleMediaMetadata);
+        listen(video, 'durationchange', handleMediaMetadata);
+        
+        // 3. TimeUpdate: Plain lyrics scrolling (synced ones run on frames) AND periodic state broadcast
+        // We throttle broadcasting inside the function itself, so calling it here is safe.
+        listen(video, 'timeupdate', () => {
+            scheduleSync();
+            // Broadcast occasionally during playback to keep time/status sync
+            broadcastCurrentState(false); 
+        });
+        return true;
+    }
+
+    /**
+     * Executes a playback command sent from the popup (via background).
+     * Track navigation clicks YTM's own player bar buttons so its queue logic applies.
+     * @param {string} command - 'togglePlay' | 'next' | 'previous' | 'seek'
+     * @param {number} [value] - Target position in seconds for 'seek'.
+     * @returns {boolean} Whether the command could be executed.
+     */
+    function executePlayerControl(command, value) {
+        const video = document.querySelector('video');
+        const clickButton = (selector) => {
+            const button = document.querySelector(selector);
+            if (!button) return false;
+            button.click();
+            return true;
+        };
+
+        switch (command) {
+            case 'togglePlay':
+                if (clickButton('ytmusic-player-bar #play-pause-button')) return true;
+                if (!video) return false;
+                if (video.paused) video.play().catch(() => {}); else video.pause();
+                return true;
+            case 'next':
+                return clickButton('ytmusic-player-bar .next-button');
+            case 'previous':
+                return clickButton('ytmusic-player-bar .previous-button');
+            case 'seek':
+                if (!video || !isFinite(value)) return false;
+                video.currentTime = Math.max(0, Math.min(value, video.duration || value));
+                return true;
+            default:
+                return false;
         }
     }
 
@@ -373,30 +1796,86 @@
         }
     }
 
+    function isNarrowLayout() {
+        return window.innerWidth <= CONFIG.mobileBreakpoint;
+    }
+
+    /**
+     * Switches between the side-by-side and vertical layouts.
+     * Done with body classes instead of media queries so the breakpoint is configurable.
+     */
+    function applyLayoutWidthMode() {
+        const isNarrow = isNarrowLayout();
+        document.body.classList.toggle(CONFIG.narrowLayoutClass, isNarrow);
+        document.body.classList.toggle(CONFIG.wideLayoutClass, !isNarrow);
+    }
+
+    /**
+     * Copies user settings into CONFIG and re-applies what depends on them.
+     * @param {object} settings - Validated settings from settings.js.
+     */
+    function applySettings(settings) {
+        const romanizeScripts = [
+            settings.romanizeJapanese && 'ja',
+            settings.romanizeKorean && 'ko',
+            settings.romanizeCyrillic && 'ru'
+        ].filter(Boolean);
+        const subLinesChanged = settings.showTranslation !== CONFIG.showTranslation ||
+            romanizeScripts.join() !== CONFIG.romanizeScripts.join();
+        CONFIG.scrollBehavior = settings.scrollBehavior;
+        CONFIG.mobileBreakpoint = settings.mobileBreakpoint;
+        CONFIG.plainAutoScroll = settings.plainAutoScroll;
+        CONFIG.offsetStep = settings.offsetStep;
+        CONFIG.offsetStepLarge = settings.offsetStepLarge;
+        CONFIG.broadcastThrottle = settings.broadcastThrottle;
+        CONFIG.showTranslation = settings.showTranslation;
+        CONFIG.romanizeScripts = romanizeScripts;
+        CONFIG.hotkeys = Object.fromEntries(HOTKEYS.map(h => [h.setting, settings[h.setting]]));
+        CONFIG.animatedBackground = settings.animatedBackground;
+
+        applyLayoutWidthMode();
+        updateBackground();
+        if (subLinesChanged) rerenderLyrics();
+    }
+
+    /**
+     * Rebuilds the lyrics views in place (e.g. after subtitle settings change).
+     */
+    function rerenderLyrics() {
+        renderLyrics();
+        handleTimeUpdate();
+    }
+
     function init() {
+        // An orphaned instance from before an extension reload may still be running
+        document.dispatchEvent(new CustomEvent(CONFIG.takeoverEvent));
+        listen(document, CONFIG.takeoverEvent, invalidateContext);
+
         createUI();
-        attachObservers();
+        applyLayoutWidthMode();
+        attachToPlayer();
         
         // Initial broadcast to register this tab in Background
         setTimeout(() => broadcastCurrentState(true), 1000);
 
-        setInterval(() => {
-            if (state.isContextInvalidated) return;
+        // YTM's SPA navigation may re-create the elements we observe
+        listen(document, 'yt-navigate-finish', attachToPlayer);
+        // YTM switches the player bar between desktop and mobile controls by width
+        listen(window, 'resize', () => {
+            applyLayoutWidthMode();
             detectAndApplyBarMode();
-            
-            // Check if DOM elements were re-created (SPA navigation)
-            const currentLayout = document.querySelector('ytmusic-app-layout');
-            const currentPlayer = document.querySelector('ytmusic-player-bar');
-            if (currentLayout !== DOM.appLayout || currentPlayer !== DOM.playerBar) {
-                attachObservers();
-            }
-            
-            // Ensure video listeners are attached
-            attachVideoListeners();
-            
-            updateLayout();
-        }, CONFIG.watchInterval);
+        });
+        // Nothing is drawn while the tab is hidden
+        listen(document, 'visibilitychange', () => {
+            scheduleSync();
+            updateBackground();
+        });
+        listen(window, 'online', handleOnline);
+        listen(window, 'offline', updateCachedIndicator);
         
+        // Hotkeys (capture phase so YTM's own shortcuts don't see them)
+        listen(document, 'keydown', handleHotkeys, true);
+
         // --- Message Listener ---
         chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             if (request.action === 'toggleMode') {
@@ -413,6 +1892,14 @@
                 broadcastCurrentState(true);
                 sendResponse({ received: true });
             }
+            // Playback control from the popup (routed by background)
+            else if (request.action === 'playerControl') {
+                sendResponse({ success: executePlayerControl(request.command, request.value) });
+            }
+            // Keyboard shortcut from chrome.commands (routed by background)
+            else if (request.action === 'runCommand') {
+                sendResponse({ success: executeCommand(request.command) });
+            }
         });
 
         chrome.storage.local.get(['isEnabled'], (result) => {
@@ -426,6 +1913,14 @@
                 updateLayout();
             }
         });
+
+        // User settings (settings.js): initial load + live updates from the options page
+        Settings.load().then(applySettings).catch(() => {});
+        Settings.onChange(applySettings);
+
+        // Theme (themes.js), also edited on the options page
+        Themes.load().then(applyTheme).catch(() => {});
+        Themes.onChange(applyTheme);
     }
 
     init();
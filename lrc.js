@@ -0,0 +1,155 @@
+/**
+ * lrc.js
+ *
+ * Overview:
+ * LRC parser shared by background.js (provider results, imported files) and
+ * the test suite. Kept free of extension APIs so it runs anywhere.
+ *
+ * Key Features:
+ * - Timestamps: Several per line (`[00:12.00][01:30.00]chorus`), sorted output.
+ * - ID Tags: `[ar:]`, `[ti:]`, `[al:]`, `[length:]`... returned as `meta`;
+ *   `[offset:]` is applied to the timestamps.
+ * - Enhanced LRC: `<mm:ss.xx>` word timings.
+ * - Bilingual Files: Translations as a second line with the same timestamp.
+ *
+ * Loaded as a classic script (importScripts), it exposes the `LRC` global.
+ */
+'use strict';
+
+const LRC = (function() {
+    const LRC_TIME_TAG = /^\[(\d{1,3}):(\d{1,2})(?:[.:](\d{1,3}))?\]/;
+    const LRC_META_TAG = /^\[([a-z#]+):(.*)\]$/i;
+    const LRC_META_KEYS = {
+        ar: 'artist', ti: 'title', al: 'album', au: 'author',
+        by: 'creator', re: 'editor', ve: 'version', length: 'length', offset: 'offset'
+    };
+
+    /**
+     * Parses an LRC document.
+     * - Lines may carry several timestamps (`[00:12.00][01:30.00]chorus`); each produces an entry.
+     * - `[offset:+/-ms]` shifts every timestamp (positive = lyrics appear earlier).
+     * - ID tags (`[ar:]`, `[ti:]`, `[al:]`, `[length:]`...) are returned as `meta`.
+     * - Bilingual files: a line sharing its timestamp with the previous one is
+     *   attached to it as `translation` instead of becoming a separate line.
+     * @param {string} lrcString
+     * @returns {{meta: object, lines: Array<{time: number, text: string, words?: Array, translation?: string}>}|null}
+     */
+    function parse(lrcString) {
+        if (!lrcString) return null;
+        const meta = {};
+        const result = [];
+
+        for (const rawLine of lrcString.split(/\r?\n/)) {
+            let rest = rawLine.trim();
+            const times = [];
+            let match;
+            while ((match = rest.match(LRC_TIME_TAG))) {
+                times.push(toSeconds(match));
+                rest = rest.slice(match[0].length);
+            }
+
+            if (times.length === 0) {
+                const metaMatch = rest.match(LRC_META_TAG);
+                if (metaMatch) {
+                    const tag = metaMatch[1].toLowerCase();
+                    if (LRC_META_KEYS[tag]) meta[LRC_META_KEYS[tag]] = metaMatch[2].trim();
+                }
+                continue;
+            }
+
+            const body = rest.trim();
+            const words = parseWordTimings(body, times[0]);
+            const text = words ? words.map(w => w.text).join('').trim() : body;
+            if (!text) continue;
+
+            // Word timings are absolute to the first timestamp; shift them for repeats
+            for (const time of times) {
+                const entry = { time: time, text: text };
+                if (words) entry.words = shiftWords(words, time - times[0]);
+                result.push(entry);
+            }
+        }
+
+        if (meta.length !== undefined) {
+            const lengthMatch = meta.length.match(/^(\d+):(\d{1,2})(?:[.:](\d{1,3}))?$/);
+            meta.length = lengthMatch ? toSeconds(lengthMatch) : parseFloat(meta.length) || 0;
+        }
+
+        // Array.prototype.sort is stable, so same-time lines keep file order
+        result.sort((a, b) => a.time - b.time);
+
+        // Translations are paired on the file's own timestamps: the offset
+        // below can clamp several lines to 0, and those stay separate lines
+        const lines = [];
+        for (const entry of result) {
+            const prev = lines[lines.length - 1];
+            if (prev && prev.time === entry.time && prev.translation === undefined) {
+                prev.translation = entry.text;
+            } else {
+                lines.push(entry);
+            }
+        }
+
+        if (meta.offset !== undefined) {
+            meta.offset = parseInt(meta.offset, 10) || 0;
+            const shift = -meta.offset / 1000;
+            lines.forEach(line => {
+                line.time = Math.max(0, line.time + shift);
+                if (line.words) line.words = shiftWords(line.words, shift);
+            });
+        }
+        return { meta: meta, lines: lines };
+    }
+
+    function shiftWords(words, delta) {
+        if (delta === 0) return words.map(w => ({ ...w }));
+        return words.map(w => {
+            const shifted = { ...w, time: Math.max(0, w.time + delta) };
+            if (w.end !== undefined) shifted.end = Math.max(0, w.end + delta);
+            return shifted;
+        });
+    }
+
+    /**
+     * Extracts enhanced LRC word timings (`<mm:ss.xx>word`) from a line body.
+     * A trailing tag without text marks the end time of the last word.
+     * @param {string} body - Line content after the line timestamp.
+     * @param {number} lineTime - Line timestamp, used for text before the first tag.
+     * @returns {Array<{time: number, end?: number, text: string}>|null}
+     */
+    function parseWordTimings(body, lineTime) {
+        const wordRegex = /<(\d{1,3}):(\d{1,2})(?:[.:](\d{1,3}))?>/g;
+        const tags = [...body.matchAll(wordRegex)];
+        if (tags.length === 0) return null;
+
+        const words = [];
+        const leading = body.slice(0, tags[0].index);
+        if (leading.trim()) words.push({ time: lineTime, text: leading });
+
+        tags.forEach((tag, i) => {
+            const time = toSeconds(tag);
+            const next = tags[i + 1];
+            const text = body.slice(tag.index + tag[0].length, next ? next.index : body.length);
+            const prev = words[words.length - 1];
+            if (prev && prev.end === undefined) prev.end = time;
+            if (text.trim()) {
+                words.push({ time: time, text: text });
+            } else if (prev) {
+                prev.text += text;
+            }
+        });
+        return words.length > 0 ? words : null;
+    }
+
+    function toSeconds(match) {
+        const min = parseInt(match[1], 10);
+        const sec = parseInt(match[2], 10);
+        const ms = match[3] ? parseFloat("0." + match[3]) : 0;
+        return min * 60 + sec + ms;
+    }
+
+    return {
+        parse: parse,
+        toSeconds: toSeconds
+    };
+})();
@@ -0,0 +1,320 @@
+/**
+ * lyrics-export.js
+ *
+ * Overview:
+ * Gets lyrics out of the immersive UI: file formats for the current track's
+ * parsed lyrics and PNG "lyric cards" for sharing a few lines. Loaded as a
+ * content script before content.js and exposed as the `LyricsExport` global.
+ *
+ * Key Features:
+ * - Formats: LRC (with enhanced word timings and bilingual lines, readable by
+ *   lrc.js again), SRT, WebVTT and plain text.
+ * - Lyric Cards: Selected lines over the blurred artwork in the palette
+ *   colors (palette.js), drawn on an OffscreenCanvas. Artwork that cannot be
+ *   read (no CORS) is left out rather than failing the whole card.
+ *
+ * Lyrics are the typed results used everywhere else:
+ * `{type: 'synced', lines: [{time, text, words?, translation?}]}` or `{type: 'plain', text}`.
+ */
+'use strict';
+
+globalThis.LyricsExport = (function() {
+    // synced: The format needs timestamps, so plain lyrics cannot be saved as it
+    const FORMATS = {
+        lrc: { extension: 'lrc', label: 'LRC', mime: 'text/plain', synced: true },
+        srt: { extension: 'srt', label: 'SRT', mime: 'application/x-subrip', synced: true },
+        vtt: { extension: 'vtt', label: 'WebVTT', mime: 'text/vtt', synced: true },
+        txt: { extension: 'txt', label: 'Text', mime: 'text/plain', synced: false }
+    };
+
+    // Subtitle cues of the last line end this long after it starts (unless the track ends first)
+    const LAST_CUE_DURATION = 5;
+
+    const CARD = {
+        size: 1080,
+        padding: 96,
+        fontSize: 60,
+        minFontSize: 32,
+        lineHeight: 1.3,
+        footerHeight: 160,
+        thumbnailSize: 120
+    };
+
+    function pad(value, length = 2) {
+        return String(value).padStart(length, '0');
+    }
+
+    /** @returns {string} mm:ss.xx */
+    function lrcTime(seconds) {
+        const centiseconds = Math.round(Math.max(0, seconds) * 100);
+        return `${pad(Math.floor(centiseconds / 6000))}:${pad(Math.floor(centiseconds / 100) % 60)}.${pad(centiseconds % 100)}`;
+    }
+
+    /** @returns {string} hh:mm:ss<separator>mmm */
+    function cueTime(seconds, separator) {
+        const ms = Math.round(Math.max(0, seconds) * 1000);
+        return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}${separator}${pad(ms % 1000, 3)}`;
+    }
+
+    /**
+     * Line body with enhanced LRC word tags. An end time that is not the next
+     * word's start becomes an empty tag, as lrc.js reads it.
+     */
+    function lrcWords(words) {
+        return words.map((word, i) => {
+            const next = words[i + 1];
+            const end = word.end !== undefined && (!next || next.time !== word.end) ? `<${lrcTime(word.end)}>` : '';
+            return `<${lrcTime(word.time)}>${word.text}${end}`;
+        }).join('');
+    }
+
+    function toLrc(track, lines) {
+        const tags = [['ti', track.title], ['ar', track.artist], ['al', track.album]]
+            .filter(([, value]) => value)
+            .map(([tag, value]) => `[${tag}:${value}]`);
+        if (track.duration) tags.push(`[length:${lrcTime(track.duration).slice(0, 5)}]`);
+        const body = [];
+        let previous = -1;
+        lines.forEach(line => {
+            // Lines sharing a timestamp read back as original and translation,
+            // so lines the sync offset clamped to 0 are kept 10ms apart
+            const centiseconds = Math.round(line.time * 100);
+            const bumped = Math.max(centiseconds, previous + 1);
+            previous = bumped;
+            const time = bumped / 100;
+            const words = line.words && bumped !== centiseconds ? shiftWords(line.words, (bumped - centiseconds) / 100) : line.words;
+            body.push(`[${lrcTime(time)}]${words ? lrcWords(words) : line.text}`);
+            // Bilingual LRC: the translation shares the timestamp
+            if (line.translation) body.push(`[${lrcTime(time)}]${line.translation}`);
+        });
+        return [...tags, ...body].join('\n') + '\n';
+    }
+
+    function shiftWords(words, delta) {
+        return words.map(word => ({
+            ...word,
+            time: word.time + delta,
+            ...(word.end !== undefined && { end: word.end + delta })
+        }));
+    }
+
+    /**
+     * @returns {Array<{start: number, end: number, text: string}>} One cue per line,
+     *   lasting until the next one.
+     */
+    function toCues(track, lines) {
+        return lines.map((line, i) => {
+            const next = lines[i + 1];
+            const lastEnd = track.duration > line.time ? Math.min(track.duration, line.time + LAST_CUE_DURATION) : line.time + LAST_CUE_DURATION;
+            return {
+                start: line.time,
+                end: next ? next.time : lastEnd,
+                text: line.translation ? `${line.text}\n${line.translation}` : line.text
+            };
+        }).filter(cue => cue.end > cue.start);
+    }
+
+    function toSrt(track, lines) {
+        return toCues(track, lines)
+            .map((cue, i) => `${i + 1}\n${cueTime(cue.start, ',')} --> ${cueTime(cue.end, ',')}\n${cue.text}\n`)
+            .join('\n');
+    }
+
+    function toVtt(track, lines) {
+        const cues = toCues(track, lines)
+            .map(cue => `${cueTime(cue.start, '.')} --> ${cueTime(cue.end, '.')}\n${cue.text}\n`);
+        return ['WEBVTT\n', ...cues].join('\n');
+    }
+
+    function toText(lyrics) {
+        if (lyrics.type === 'plain') return lyrics.text.endsWith('\n') ? lyrics.text : `${lyrics.text}\n`;
+        return lyrics.lines.map(line => (line.translation ? `${line.text}\n${line.translation}` : line.text)).join('\n') + '\n';
+    }
+
+    // --- Lyric Cards ---
+
+    async function loadImage(url) {
+        const img = new Image();
+        img.crossOrigin = 'anonymous';
+        img.src = url;
+        await img.decode();
+        return img;
+    }
+
+    /**
+     * Splits text into lines that fit `maxWidth`. Words are kept whole unless
+     * one is wider than the line (or the text has no spaces, e.g. Japanese).
+     */
+    function wrapText(ctx, text, maxWidth) {
+        const rows = [];
+        let current = '';
+        for (const token of text.match(/\S+\s*|\s+/g) || []) {
+            if (ctx.measureText(current + token).width <= maxWidth) {
+                current += token;
+                continue;
+            }
+            if (current.trim()) rows.push(current.trim());
+            current = '';
+            for (const char of token) {
+                if (current && ctx.measureText(current + char).width > maxWidth) {
+                    rows.push(current.trim());
+                    current = '';
+                }
+                current += char;
+            }
+        }
+        if (current.trim()) rows.push(current.trim());
+        return rows;
+    }
+
+    /**
+     * Largest font size (down to CARD.minFontSize) at which the lines fit the
+     * text area; rows that still do not fit are cut with an ellipsis.
+     */
+    function layoutLyrics(ctx, lines, fontFamily, width, height) {
+        let fontSize = CARD.fontSize;
+        let rows;
+        for (;;) {
+            ctx.font = `700 ${fontSize}px ${fontFamily}`;
+            rows = lines.flatMap(line => wrapText(ctx, line, width));
+            if (rows.length * fontSize * CARD.lineHeight <= height || fontSize <= CARD.minFontSize) break;
+            fontSize -= 4;
+        }
+        const maxRows = Math.max(1, Math.floor(height / (fontSize * CARD.lineHeight)));
+        if (rows.length > maxRows) {
+            rows = rows.slice(0, maxRows);
+            rows[maxRows - 1] += '…';
+        }
+        return { rows, fontSize };
+    }
+
+    function drawCard(ctx, { lines, title, artist, palette, fontFamily }, artwork) {
+        const { size, padding } = CARD;
+        ctx.fillStyle = palette ? palette.dominant : '#202020';
+        ctx.fillRect(0, 0, size, size);
+        if (artwork) {
+            // Same treatment as #ytm-custom-bg, overscanned so the blur has no edges
+            ctx.filter = 'blur(48px) brightness(0.4) saturate(1.5)';
+            ctx.drawImage(artwork, -size * 0.1, -size * 0.1, size * 1.2, size * 1.2);
+            ctx.filter = 'none';
+        } else {
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.fillRect(0, 0, size, size);
+        }
+
+        // Lyrics, centered vertically above the footer
+        const textWidth = size - padding * 2;
+        const textHeight = size - padding * 2 - CARD.footerHeight;
+        const { rows, fontSize } = layoutLyrics(ctx, lines, fontFamily, textWidth, textHeight);
+        const rowHeight = fontSize * CARD.lineHeight;
+        let y = padding + (textHeight - rows.length * rowHeight) / 2 + rowHeight / 2;
+        ctx.fillStyle = palette ? palette.active : '#ffffff';
+        ctx.textBaseline = 'middle';
+        ctx.shadowColor = 'rgba(0, 0, 0, 0.4)';
+        ctx.shadowBlur = 16;
+        rows.forEach(row => {
+            ctx.fillText(row, padding, y);
+            y += rowHeight;
+        });
+        ctx.shadowBlur = 0;
+
+        // Footer: thumbnail, title and artist
+        const footerY = size - padding - CARD.thumbnailSize;
+        let textX = padding;
+        if (artwork) {
+            ctx.save();
+            ctx.beginPath();
+            ctx.roundRect(padding, footerY, CARD.thumbnailSize, CARD.thumbnailSize, 12);
+            ctx.clip();
+            ctx.drawImage(artwork, padding, footerY, CARD.thumbnailSize, CARD.thumbnailSize);
+            ctx.restore();
+            textX += CARD.thumbnailSize + 28;
+        }
+        const footerWidth = size - padding - textX;
+        ctx.font = `800 36px ${fontFamily}`;
+        ctx.fillStyle = palette ? palette.title : '#ffffff';
+        ctx.fillText(wrapText(ctx, title, footerWidth)[0] || '', textX, footerY + CARD.thumbnailSize * 0.33);
+        ctx.font = `500 30px ${fontFamily}`;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.75)';
+        ctx.fillText(wrapText(ctx, artist, footerWidth)[0] || '', textX, footerY + CARD.thumbnailSize * 0.72);
+    }
+
+    return {
+        FORMATS: FORMATS,
+
+        /**
+         * @param {Array<object>} lines - Synced lines.
+         * @param {number} offsetMs - Sync offset (positive = lyrics earlier), as used by content.js.
+         * @returns {Array<object>} Copies with the offset baked into the timestamps.
+         */
+        applyOffset(lines, offsetMs) {
+            const shift = -offsetMs / 1000;
+            if (!shift) return lines;
+            return lines.map(line => ({
+                ...line,
+                time: Math.max(0, line.time + shift),
+                ...(line.words && {
+                    words: line.words.map(word => ({
+                        ...word,
+                        time: Math.max(0, word.time + shift),
+                        ...(word.end !== undefined && { end: Math.max(0, word.end + shift) })
+                    }))
+                })
+            }));
+        },
+
+        /**
+         * @param {string} format - Key of FORMATS.
+         * @param {{title: string, artist: string, album?: string, duration?: number}} track
+         * @param {object} lyrics - Typed lyrics; timed formats need synced ones.
+         * @returns {string|null} File contents, or null if the format needs timestamps the lyrics lack.
+         */
+        format(format, track, lyrics) {
+            if (FORMATS[format].synced && lyrics.type !== 'synced') return null;
+            switch (format) {
+                case 'lrc': return toLrc(track, lyrics.lines);
+                case 'srt': return toSrt(track, lyrics.lines);
+                case 'vtt': return toVtt(track, lyrics.lines);
+                default: return toText(lyrics);
+            }
+        },
+
+        /**
+         * @param {{title: string, artist: string}} track
+         * @param {string} extension - e.g. FORMATS.lrc.extension, or 'png' for cards.
+         * @returns {string} "Artist - Title.ext" without characters file systems reject.
+         */
+        fileName(track, extension) {
+            const base = [track.artist, track.title].filter(Boolean).join(' - ') || 'lyrics';
+            return `${base.replace(/[\\/:*?"<>|\u0000-\u001f]+/g, '_').slice(0, 150)}.${extension}`;
+        },
+
+        /**
+         * Draws a square PNG card.
+         * @param {{lines: string[], title: string, artist: string, artworkUrl: string|null,
+         *   palette: object|null, fontFamily: string}} card - Palette as returned by Palette.extract().
+         * @returns {Promise<Blob>}
+         */
+        async renderCard(card) {
+            let artwork = null;
+            if (card.artworkUrl) {
+                try {
+                    artwork = await loadImage(card.artworkUrl);
+                } catch (e) {
+                    artwork = null;
+                }
+            }
+            const canvas = new OffscreenCanvas(CARD.size, CARD.size);
+            drawCard(canvas.getContext('2d'), card, artwork);
+            try {
+                return await canvas.convertToBlob({ type: 'image/png' });
+            } catch (e) {
+                // Tainted by artwork served without CORS: draw the card without it
+                if (!artwork) throw e;
+                const fallback = new OffscreenCanvas(CARD.size, CARD.size);
+                drawCard(fallback.getContext('2d'), card, null);
+                return fallback.convertToBlob({ type: 'image/png' });
+            }
+        }
+    };
+})();
@@ -0,0 +1,174 @@
+/**
+ * mesh.js
+ *
+ * Overview:
+ * Animated mesh gradient behind the immersive UI: a few soft color blobs
+ * from the artwork palette (palette.js) drifting around. Loaded as a content
+ * script before content.js and exposed as the `MeshBackground` global.
+ *
+ * Key Features:
+ * - Cheap Drawing: The canvas is tiny and stretched over the screen; the blur
+ *   on #ytm-custom-bg turns the blobs into a smooth gradient.
+ * - Playback Clock: Blob positions follow the playback position, so pausing
+ *   freezes the background and it moves at the pace of the music.
+ * - Performance Budget: Only a still frame is drawn while the view is hidden,
+ *   `prefers-reduced-motion` is set, or frames have been taking longer than
+ *   the budget (that last one sticks for the rest of the page's life).
+ */
+'use strict';
+
+globalThis.MeshBackground = (function() {
+    const WIDTH = 64;
+    const HEIGHT = 36;
+    const DRAW_INTERVAL = 1000 / 30;   // The blobs move slowly; 30 fps is plenty
+    const FADE_DURATION = 1500;        // Color change between tracks (ms)
+
+    // Frame time budget: an average above this (after warm-up) means the page
+    // cannot keep up and the animation is stopped
+    const FRAME_BUDGET = 1000 / 24;
+    const BUDGET_WARMUP_FRAMES = 60;
+    const BUDGET_SMOOTHING = 0.05;
+
+    // Blob paths: base position and drift (fractions of the canvas), speed in radians per second
+    const BLOBS = [
+        { x: 0.2, y: 0.25, radius: 0.75, driftX: 0.15, driftY: 0.1, speed: 0.11, phase: 0 },
+        { x: 0.8, y: 0.2, radius: 0.65, driftX: 0.12, driftY: 0.15, speed: 0.09, phase: 1.7 },
+        { x: 0.75, y: 0.8, radius: 0.8, driftX: 0.18, driftY: 0.1, speed: 0.07, phase: 3.1 },
+        { x: 0.25, y: 0.75, radius: 0.7, driftX: 0.1, driftY: 0.16, speed: 0.13, phase: 4.4 },
+        { x: 0.5, y: 0.5, radius: 0.55, driftX: 0.2, driftY: 0.12, speed: 0.05, phase: 2.3 }
+    ];
+
+    /**
+     * @param {string} color - "rgb(r, g, b)"
+     * @returns {string} The same color, fully transparent (gradients fade to it without darkening).
+     */
+    function transparentOf(color) {
+        return color.replace(/^rgb\((.*)\)$/, 'rgba($1, 0)');
+    }
+
+    function drawBlobs(ctx, colors, time, alpha) {
+        ctx.globalAlpha = alpha;
+        ctx.fillStyle = colors[0];
+        ctx.fillRect(0, 0, WIDTH, HEIGHT);
+        BLOBS.forEach((blob, i) => {
+            const color = colors[(i + 1) % colors.length];
+            const angle = blob.phase + time * blob.speed;
+            const x = (blob.x + Math.sin(angle) * blob.driftX) * WIDTH;
+            const y = (blob.y + Math.cos(angle * 1.3) * blob.driftY) * HEIGHT;
+            const radius = blob.radius * WIDTH;
+            const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
+            gradient.addColorStop(0, color);
+            gradient.addColorStop(1, transparentOf(color));
+            ctx.fillStyle = gradient;
+            ctx.fillRect(0, 0, WIDTH, HEIGHT);
+        });
+        ctx.globalAlpha = 1;
+    }
+
+    return {
+        /**
+         * @param {HTMLCanvasElement} canvas
+         * @param {function(): number} getTime - Playback position in seconds.
+         * @returns {{setState: function(object): void, destroy: function(): void}}
+         */
+        create(canvas, getTime) {
+            canvas.width = WIDTH;
+            canvas.height = HEIGHT;
+            const ctx = canvas.getContext('2d');
+            const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+            // colors: CSS colors (palette swatches) or null; the others are run conditions
+            const state = { colors: null, enabled: true, visible: false, playing: false };
+            let previousColors = null;
+            let fadeStart = 0;
+            let frameId = null;
+            let lastFrame = 0;
+            let lastDraw = 0;
+            let frames = 0;
+            let averageFrame = 0;
+            let overBudget = false;
+
+            function isFading(now) {
+                return previousColors !== null && now - fadeStart < FADE_DURATION;
+            }
+
+            function draw(now) {
+                if (!state.colors) return;
+                const time = getTime();
+                if (isFading(now)) {
+                    drawBlobs(ctx, previousColors, time, 1);
+                    drawBlobs(ctx, state.colors, time, (now - fadeStart) / FADE_DURATION);
+                } else {
+                    previousColors = null;
+                    drawBlobs(ctx, state.colors, time, 1);
+                }
+                lastDraw = now;
+            }
+
+            function shouldAnimate(now) {
+                return state.enabled && state.visible && state.colors !== null && !reducedMotion.matches &&
+                    !overBudget && (state.playing || isFading(now));
+            }
+
+            function onFrame(now) {
+                frameId = null;
+                if (lastFrame) {
+                    averageFrame += (now - lastFrame - averageFrame) * BUDGET_SMOOTHING;
+                    frames++;
+                    if (frames > BUDGET_WARMUP_FRAMES && averageFrame > FRAME_BUDGET) overBudget = true;
+                }
+                lastFrame = now;
+                if (now - lastDraw >= DRAW_INTERVAL) draw(now);
+                if (shouldAnimate(now)) frameId = requestAnimationFrame(onFrame);
+                else stop();
+            }
+
+            function stop() {
+                if (frameId) cancelAnimationFrame(frameId);
+                frameId = null;
+                // The first interval after a pause says nothing about performance
+                lastFrame = 0;
+            }
+
+            /**
+             * Starts or stops the animation after a state change; a still frame
+             * is drawn whenever it does not run.
+             */
+            function update() {
+                canvas.classList.toggle('ready', state.enabled && state.colors !== null);
+                const now = performance.now();
+                if (shouldAnimate(now)) {
+                    if (!frameId) frameId = requestAnimationFrame(onFrame);
+                    return;
+                }
+                stop();
+                if (state.enabled && state.visible) {
+                    // A still frame shows the new colors right away
+                    previousColors = null;
+                    draw(now);
+                }
+            }
+
+            reducedMotion.addEventListener('change', update);
+
+            return {
+                /**
+                 * @param {{colors?: string[]|null, enabled?: boolean, visible?: boolean, playing?: boolean}} changes
+                 */
+                setState(changes) {
+                    if ('colors' in changes && changes.colors !== state.colors) {
+                        previousColors = state.colors && changes.colors ? state.colors : null;
+                        fadeStart = performance.now();
+                    }
+                    Object.assign(state, changes);
+                    update();
+                },
+
+                destroy() {
+                    stop();
+                    reducedMotion.removeEventListener('change', update);
+                }
+            };
+        }
+    };
+})();
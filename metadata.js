@@ -0,0 +1,202 @@
+/**
+ * metadata.js
+ *
+ * Overview:
+ * Reads what is playing from every source the page offers and merges them.
+ * Loaded as a content script before content.js and exposed as the
+ * `TrackMetadata` global.
+ *
+ * Sources (merged field by field, first usable value wins):
+ * - Player bar: Title and byline. Byline links tell artists, album and
+ *   podcast shows apart, so names containing "•" or "," survive.
+ * - MediaSession: Album and artwork as published to the OS.
+ * - Player response: Video ID, channel and length from the page's player
+ *   API, answered by page-bridge.js in the main world. Its video ID is
+ *   used only while its title matches the one shown.
+ * - URL: Video ID on the player page.
+ */
+'use strict';
+
+globalThis.TrackMetadata = (function() {
+    const SELECTORS = {
+        title: 'yt-formatted-string.title.style-scope.ytmusic-player-bar',
+        byline: '.byline.style-scope.ytmusic-player-bar',
+        thumbnail: 'ytmusic-player-bar .thumbnail-image-wrapper img',
+        titleLink: '#movie_player .ytp-title-link'
+    };
+
+    // Must match page-bridge.js
+    const BRIDGE_REQUEST_EVENT = 'ytm-modern-ui:request-player-data';
+    const BRIDGE_RESPONSE_EVENT = 'ytm-modern-ui:player-data';
+
+    const VIDEO_ID_PATTERN = /^[A-Za-z0-9_-]{11}$/;
+    const ARTIST_SEPARATOR = /\s*(?:,|、|\s&\s|\s(?:feat\.?|ft\.?|featuring)\s)\s*/i;
+    // Video bylines carry view counts and years where songs have the album
+    const NOT_AN_ALBUM = /^\d{4}$|\bviews?$|回視聴$/i;
+    const FEATURING_IN_TITLE = /[(\[](?:feat\.?|ft\.?|featuring)\s+([^)\]]+)[)\]]/i;
+
+    /**
+     * Asks page-bridge.js for the player's own data.
+     * The bridge answers inside dispatchEvent, so this is synchronous.
+     * @returns {{videoId: string|null, title: string, author: string, duration: number}|null}
+     */
+    function readPlayerResponse() {
+        let data = null;
+        const onResponse = (e) => {
+            try { data = JSON.parse(e.detail); } catch (err) { data = null; }
+        };
+        document.addEventListener(BRIDGE_RESPONSE_EVENT, onResponse);
+        document.dispatchEvent(new CustomEvent(BRIDGE_REQUEST_EVENT));
+        document.removeEventListener(BRIDGE_RESPONSE_EVENT, onResponse);
+        return data;
+    }
+
+    /**
+     * Splits the player bar byline ("Artist A, Artist B • Album • 2020").
+     * Linked segments are classified by their browse target; plain text is
+     * only used when the byline carries no links (uploads, some videos).
+     * @param {Element} el
+     */
+    function parseByline(el) {
+        const result = { artist: '', artists: [], album: '', isPodcast: false };
+        if (!el) return result;
+
+        const segments = el.textContent.split('•').map(s => s.trim()).filter(Boolean);
+        const links = Array.from(el.querySelectorAll('a')).map(a => ({
+            text: a.textContent.trim(),
+            href: a.getAttribute('href') || ''
+        }));
+        const artistLinks = links.filter(link => /(^|\/)channel\//.test(link.href));
+        const albumLink = links.find(link => /browse\/MPREb/.test(link.href));
+        const showLink = links.find(link => /browse\/MPSP/.test(link.href));
+
+        if (showLink) {
+            // Podcast episode: the show stands in for artist, there is no album
+            result.isPodcast = true;
+            result.artist = showLink.text;
+            result.artists = [showLink.text];
+            return result;
+        }
+
+        // The first segment as displayed stays the lookup key for cached lyrics
+        result.artist = segments[0] || '';
+        result.artists = artistLinks.length > 0
+            ? unique(artistLinks.map(link => link.text))
+            : splitArtists(result.artist);
+        if (albumLink) {
+            result.album = albumLink.text;
+        } else if (links.length === 0 && segments[1] && !NOT_AN_ALBUM.test(segments[1])) {
+            result.album = segments[1];
+        }
+        return result;
+    }
+
+    /**
+     * @param {string} text - e.g. "A, B & C feat. D"
+     * @returns {string[]}
+     */
+    function splitArtists(text) {
+        return unique((text || '').split(ARTIST_SEPARATOR).map(s => s.trim()).filter(Boolean));
+    }
+
+    /**
+     * @param {string} title - e.g. "Song (feat. A & B)"
+     * @returns {string[]}
+     */
+    function featuredInTitle(title) {
+        const match = (title || '').match(FEATURING_IN_TITLE);
+        return match ? splitArtists(match[1]) : [];
+    }
+
+    function videoIdFromHref(href) {
+        try {
+            const id = new URL(href, location.origin).searchParams.get('v');
+            return id && VIDEO_ID_PATTERN.test(id) ? id : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function sameTitle(a, b) {
+        const normalize = text => (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+        return normalize(a) === normalize(b);
+    }
+
+    /**
+     * The player API's ID is trusted only when its title matches the one
+     * read: mid-transition the bar already shows the next track while the
+     * player still answers for the previous one.
+     * @param {object|null} playerResponse
+     * @param {string} title
+     */
+    function readVideoId(playerResponse, title) {
+        if (playerResponse && VIDEO_ID_PATTERN.test(playerResponse.videoId || '') &&
+            sameTitle(playerResponse.title, title)) {
+            return playerResponse.videoId;
+        }
+        if (location.pathname === '/watch') {
+            const id = videoIdFromHref(location.href);
+            if (id) return id;
+        }
+        const titleLink = document.querySelector(SELECTORS.titleLink);
+        return titleLink ? videoIdFromHref(titleLink.getAttribute('href')) : null;
+    }
+
+    function readArtwork(session) {
+        if (session && session.artwork && session.artwork.length > 0) {
+            // Sizes are listed ascending
+            return session.artwork[session.artwork.length - 1].src;
+        }
+        const img = document.querySelector(SELECTORS.thumbnail);
+        return img ? img.src : null;
+    }
+
+    function unique(list) {
+        return Array.from(new Set(list));
+    }
+
+    return {
+        /**
+         * @returns {{
+         *   title: string, artist: string, artists: string[], featuredArtists: string[],
+         *   album: string, videoId: string|null, duration: number, artwork: string|null,
+         *   isPodcast: boolean
+         * }|null} null when nothing is playing.
+         */
+        read() {
+            const session = navigator.mediaSession && navigator.mediaSession.metadata;
+            const playerResponse = readPlayerResponse();
+            const titleEl = document.querySelector(SELECTORS.title);
+            const byline = parseByline(document.querySelector(SELECTORS.byline));
+
+            const title = (titleEl && titleEl.textContent.trim()) ||
+                (session && session.title) ||
+                (playerResponse && playerResponse.title) || '';
+            if (!title) return null;
+
+            // Auto-generated channels are named "<Artist> - Topic"
+            const channel = playerResponse ? (playerResponse.author || '').replace(/\s+-\s+Topic$/, '') : '';
+            const artist = byline.artist || (session && session.artist) || channel;
+            const artists = byline.artists.length > 0 ? byline.artists : splitArtists(artist);
+            const featuredArtists = featuredInTitle(title).filter(name => !artists.includes(name));
+
+            const video = document.querySelector('video');
+            const duration = (video && isFinite(video.duration) && video.duration) ||
+                (playerResponse && playerResponse.duration) || 0;
+
+            return {
+                title: title,
+                artist: artist,
+                artists: artists,
+                featuredArtists: featuredArtists,
+                album: byline.isPodcast ? '' : ((session && session.album) || byline.album),
+                videoId: readVideoId(playerResponse, title),
+                duration: duration,
+                artwork: readArtwork(session),
+                isPodcast: byline.isPodcast
+            };
+        },
+
+        splitArtists: splitArtists
+    };
+})();
@@ -0,0 +1,800 @@
+/**
+ * options.js
+ *
+ * Overview:
+ * Options page of the extension. Edits the shared settings (settings.js)
+ * and gives visibility into the lyrics cache that the background script
+ * keeps in `chrome.storage.local`.
+ *
+ * Key Features:
+ * - Settings Editor: Form generated from SETTINGS_SCHEMA; every change is
+ *   validated and saved immediately, open tabs pick it up live. Hotkeys are
+ *   rebound by pressing the new key.
+ * - Theme Editor: Pick a built-in or custom theme (themes.js), edit custom
+ *   ones and move them between machines as JSON files.
+ * - Provider List: Enable, reorder, test and add lyrics providers
+ *   (providers.js). Custom hosts are requested as optional permissions.
+ * - Cache Browser: Lists `lyric_*` entries (and imported `override_*` files)
+ *   using the `meta` stored alongside them, with search.
+ * - Entry Actions: Delete or refresh (re-fetch via background) single entries.
+ * - Maintenance: Total size, purge, and JSON export/import between machines.
+ */
+'use strict';
+
+const CACHE_PREFIX = "lyric_";
+const OVERRIDE_PREFIX = "override_";
+const MISS_PREFIX = "miss_";
+const EXPORT_FORMAT = "ytm-modern-ui-cache";
+const EXPORT_VERSION = 1;
+
+// --- DOM Elements ---
+const DOM = {
+    settingsForm: document.getElementById('settings-form'),
+    settingsMessage: document.getElementById('settings-message'),
+    resetSettingsBtn: document.getElementById('btn-reset-settings'),
+    browserShortcutsBtn: document.getElementById('btn-browser-shortcuts'),
+
+    themeMessage: document.getElementById('theme-message'),
+    themeSelect: document.getElementById('theme-select'),
+    themeDuplicateBtn: document.getElementById('btn-theme-duplicate'),
+    themeDeleteBtn: document.getElementById('btn-theme-delete'),
+    themeExportBtn: document.getElementById('btn-theme-export'),
+    themeImportBtn: document.getElementById('btn-theme-import'),
+    themeImportFile: document.getElementById('theme-import-file'),
+    themeNote: document.getElementById('theme-note'),
+    themeEditor: document.getElementById('theme-editor'),
+
+    providersMessage: document.getElementById('providers-message'),
+    providerList: document.getElementById('provider-list'),
+    providerForm: document.getElementById('provider-form'),
+    providerName: document.getElementById('provider-name'),
+    providerType: document.getElementById('provider-type'),
+    providerUrl: document.getElementById('provider-url'),
+    resetProvidersBtn: document.getElementById('btn-reset-providers'),
+
+    stats: document.getElementById('cache-stats'),
+    search: document.getElementById('cache-search'),
+    exportBtn: document.getElementById('btn-export'),
+    importBtn: document.getElementById('btn-import'),
+    importFile: document.getElementById('import-file'),
+    purgeBtn: document.getElementById('btn-purge'),
+    message: document.getElementById('cache-message'),
+    list: document.getElementById('cache-list'),
+    empty: document.getElementById('cache-empty')
+};
+
+// --- State Management ---
+let state = {
+    settings: null,
+    themes: null,  // Validated store from themes.js
+    providers: [],
+    entries: [],   // [{ key, value, size }]
+    missKeys: [],  // Remembered "not found" songs (not listed, only counted)
+    query: ""
+};
+
+// --- Settings ---
+
+/**
+ * Builds one form row per schema field, grouped by `section`.
+ */
+function renderSettingsForm() {
+    DOM.settingsForm.innerHTML = '';
+    const sections = {};
+    for (const [key, field] of Object.entries(SETTINGS_SCHEMA)) {
+        if (!sections[field.section]) {
+            const group = document.createElement('fieldset');
+            group.className = 'settings-group';
+            const legend = document.createElement('legend');
+            legend.textContent = field.section;
+            group.appendChild(legend);
+            DOM.settingsForm.appendChild(group);
+            sections[field.section] = group;
+        }
+        sections[field.section].appendChild(createSettingRow(key, field));
+    }
+}
+
+function createSettingRow(key, field) {
+    const input = field.type === 'key' ? createKeyCapture(key, field) : createFieldInput(field);
+    input.id = `setting-${key}`;
+    input.dataset.key = key;
+    if (field.type !== 'key') input.addEventListener('change', () => saveSetting(key, field, input));
+    return createFieldRow(field, input);
+}
+
+/**
+ * Label and description next to an input (settings and theme fields).
+ */
+function createFieldRow(field, input) {
+    const row = document.createElement('label');
+    row.className = 'setting-row';
+
+    const text = document.createElement('div');
+    text.className = 'setting-text';
+    const label = document.createElement('div');
+    label.className = 'setting-label';
+    label.textContent = field.label;
+    const description = document.createElement('div');
+    description.className = 'setting-description';
+    description.textContent = field.description;
+    text.append(label, description);
+
+    row.append(text, input);
+    return row;
+}
+
+/**
+ * Input for a 'boolean', 'enum', 'number' or 'text' schema field.
+ */
+function createFieldInput(field) {
+    let input;
+    if (field.type === 'boolean') {
+        input = document.createElement('input');
+        input.type = 'checkbox';
+    } else if (field.type === 'enum') {
+        input = document.createElement('select');
+        field.values.forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = value;
+            input.appendChild(option);
+        });
+    } else if (field.type === 'text') {
+        input = document.createElement('input');
+        input.type = 'text';
+        input.maxLength = field.maxLength;
+    } else {
+        input = document.createElement('input');
+        input.type = 'number';
+        input.min = field.min;
+        input.max = field.max;
+        input.step = field.step || 1;
+    }
+    return input;
+}
+
+function fillSettingsForm(settings) {
+    state.settings = settings;
+    for (const [key, field] of Object.entries(SETTINGS_SCHEMA)) {
+        const input = document.getElementById(`setting-${key}`);
+        if (!input) continue;
+        if (field.type === 'boolean') input.checked = settings[key];
+        else if (field.type === 'key') showKeyBinding(input, settings[key]);
+        else input.value = settings[key];
+    }
+}
+
+/**
+ * Saves a single field. The stored value may differ from the input
+ * (clamped numbers), so the form is refreshed from the saved result.
+ */
+async function saveSetting(key, field, input) {
+    const value = field.type === 'boolean' ? input.checked : input.value;
+    const saved = await Settings.save({ [key]: value });
+    fillSettingsForm(saved);
+    const adjusted = field.type === 'number' && String(saved[key]) !== String(value);
+    showSettingsMessage(adjusted ? `${field.label}: value adjusted to ${saved[key]}.` : 'Saved.', adjusted);
+}
+
+/**
+ * Button that records the next key press as the new binding.
+ * Esc cancels, Backspace/Delete unbinds.
+ */
+function createKeyCapture(key, field) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'key-capture';
+    button.addEventListener('click', () => {
+        button.classList.add('recording');
+        button.textContent = 'Press a key...';
+    });
+    button.addEventListener('keydown', (e) => {
+        if (!button.classList.contains('recording')) return;
+        e.preventDefault();
+        if (e.key === 'Escape') {
+            showKeyBinding(button, state.settings[key]);
+        } else if (e.key === 'Backspace' || e.key === 'Delete') {
+            saveKeyBinding(key, field, button, '');
+        } else {
+            const binding = Settings.keyFromEvent(e);
+            if (binding) saveKeyBinding(key, field, button, binding);
+        }
+    });
+    button.addEventListener('blur', () => showKeyBinding(button, state.settings[key]));
+    return button;
+}
+
+function showKeyBinding(button, binding) {
+    button.classList.remove('recording');
+    button.textContent = Settings.describeKey(binding) || 'Not set';
+}
+
+async function saveKeyBinding(key, field, button, binding) {
+    const taken = binding && Object.keys(SETTINGS_SCHEMA)
+        .find(other => other !== key && SETTINGS_SCHEMA[other].type === 'key' && state.settings[other] === binding);
+    if (taken) {
+        showKeyBinding(button, state.settings[key]);
+        showSettingsMessage(`${Settings.describeKey(binding)} is already used for "${SETTINGS_SCHEMA[taken].label}".`, true);
+        return;
+    }
+    fillSettingsForm(await Settings.save({ [key]: binding }));
+    showSettingsMessage(binding ? `${field.label}: ${Settings.describeKey(binding)}` : `${field.label}: not set.`);
+}
+
+async function resetSettings() {
+    if (!confirm('Reset all settings to their defaults?')) return;
+    fillSettingsForm(await Settings.reset());
+    showSettingsMessage('Settings reset to defaults.');
+}
+
+function showSettingsMessage(text, isError = false) {
+    DOM.settingsMessage.textContent = text;
+    DOM.settingsMessage.classList.toggle('error', isError);
+}
+
+// --- Theme ---
+
+/**
+ * Builds the editor: theme name plus one row per THEME_SCHEMA field.
+ */
+function renderThemeEditor() {
+    DOM.themeEditor.innerHTML = '';
+    const group = document.createElement('fieldset');
+    group.className = 'settings-group';
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.id = 'theme-name';
+    nameInput.maxLength = 60;
+    nameInput.addEventListener('change', () => renameTheme(nameInput.value));
+    group.appendChild(createFieldRow({ label: 'Name', description: 'Shown in the theme list.' }, nameInput));
+
+    for (const [key, field] of Object.entries(THEME_SCHEMA)) {
+        const input = createFieldInput(field);
+        input.id = `theme-${key}`;
+        input.addEventListener('change', () => saveThemeValue(key, field, input));
+        group.appendChild(createFieldRow(field, input));
+    }
+    DOM.themeEditor.appendChild(group);
+}
+
+/**
+ * Shows the selected theme. Built-in themes are read-only.
+ * @param {object} themes - Validated store from themes.js.
+ */
+function fillThemeEditor(themes) {
+    state.themes = themes;
+    const active = Themes.active(themes);
+
+    DOM.themeSelect.innerHTML = '';
+    Themes.list(themes).forEach(theme => {
+        const option = document.createElement('option');
+        option.value = theme.id;
+        option.textContent = theme.builtIn ? theme.name : `${theme.name} (custom)`;
+        DOM.themeSelect.appendChild(option);
+    });
+    DOM.themeSelect.value = active.id;
+
+    const nameInput = document.getElementById('theme-name');
+    nameInput.value = active.name;
+    nameInput.disabled = active.builtIn;
+    for (const [key, field] of Object.entries(THEME_SCHEMA)) {
+        const input = document.getElementById(`theme-${key}`);
+        if (field.type === 'boolean') input.checked = active.values[key];
+        else input.value = active.values[key];
+        input.disabled = active.builtIn;
+    }
+    DOM.themeNote.hidden = !active.builtIn;
+    DOM.themeDeleteBtn.disabled = active.builtIn;
+}
+
+/**
+ * Merges changes into the selected (custom) theme and saves the store.
+ * @returns {Promise<object>} The saved theme.
+ */
+async function updateSelectedTheme(changes) {
+    const custom = state.themes.custom.map(theme =>
+        theme.id === state.themes.selected ? { ...theme, ...changes } : theme);
+    const saved = await Themes.save({ ...state.themes, custom });
+    fillThemeEditor(saved);
+    return Themes.active(saved);
+}
+
+/**
+ * Saves one theme value; like settings, the form shows the validated result.
+ */
+async function saveThemeValue(key, field, input) {
+    const value = field.type === 'boolean' ? input.checked : input.value;
+    const theme = await updateSelectedTheme({ values: { ...Themes.active(state.themes).values, [key]: value } });
+    const adjusted = field.type !== 'boolean' && String(theme.values[key]) !== String(value);
+    showThemeMessage(adjusted ? `${field.label}: value adjusted to ${theme.values[key]}.` : 'Saved.', adjusted);
+}
+
+async function renameTheme(name) {
+    const theme = await updateSelectedTheme({ name });
+    showThemeMessage(`Renamed to "${theme.name}".`);
+}
+
+async function selectTheme() {
+    const saved = await Themes.save({ ...state.themes, selected: DOM.themeSelect.value });
+    fillThemeEditor(saved);
+    showThemeMessage(`Using "${Themes.active(saved).name}".`);
+}
+
+async function duplicateTheme() {
+    const source = Themes.active(state.themes);
+    const name = `${source.name} copy`;
+    fillThemeEditor(await Themes.save(Themes.add(state.themes, name, source.values)));
+    showThemeMessage(`Created "${name}".`);
+}
+
+async function deleteTheme() {
+    const theme = Themes.active(state.themes);
+    if (theme.builtIn || !confirm(`Delete the theme "${theme.name}"?`)) return;
+    const custom = state.themes.custom.filter(other => other.id !== theme.id);
+    fillThemeEditor(await Themes.save({ ...Themes.defaults(), custom }));
+    showThemeMessage(`Deleted "${theme.name}".`);
+}
+
+function exportTheme() {
+    const theme = Themes.active(state.themes);
+    downloadJson(`ytm-theme-${normalizeId(theme.name) || theme.id}.json`, Themes.toJson(theme));
+}
+
+/**
+ * Adds the theme from an exported JSON file as a custom theme and selects it.
+ * @param {File} file
+ */
+async function importTheme(file) {
+    if (!file) return;
+    let theme;
+    try {
+        theme = Themes.fromJson(await file.text());
+    } catch (e) {
+        showThemeMessage(`Import failed: ${e.message}`, true);
+        return;
+    }
+    fillThemeEditor(await Themes.save(Themes.add(state.themes, theme.name, theme.values)));
+    showThemeMessage(`Imported "${theme.name}".`);
+}
+
+function showThemeMessage(text, isError = false) {
+    DOM.themeMessage.textContent = text;
+    DOM.themeMessage.classList.toggle('error', isError);
+}
+
+// --- Lyrics Providers ---
+
+function renderProviderList(providers) {
+    state.providers = providers;
+    DOM.providerList.innerHTML = '';
+    const frag = document.createDocumentFragment();
+    providers.forEach((provider, index) => {
+        const type = PROVIDER_TYPES[provider.type];
+        const row = document.createElement('li');
+        row.className = 'provider-row' + (provider.enabled ? '' : ' disabled');
+
+        const enabled = document.createElement('input');
+        enabled.type = 'checkbox';
+        enabled.checked = provider.enabled;
+        enabled.title = 'Enabled';
+        enabled.addEventListener('change', () => updateProvider(index, { enabled: enabled.checked }));
+
+        const text = document.createElement('div');
+        text.className = 'provider-text';
+        const name = document.createElement('div');
+        name.className = 'provider-name';
+        name.textContent = provider.name;
+        const details = document.createElement('div');
+        details.className = 'provider-details';
+        const capabilities = Object.keys(type.capabilities).filter(key => type.capabilities[key]);
+        details.textContent = `${type.label} · ${provider.baseUrl} · ${capabilities.join(', ')}`;
+        text.append(name, details);
+
+        const actions = document.createElement('div');
+        actions.className = 'row-actions';
+        actions.append(
+            createRowButton('Test', (button) => testProvider(provider, button)),
+            createRowButton('↑', () => moveProvider(index, -1), index === 0),
+            createRowButton('↓', () => moveProvider(index, 1), index === providers.length - 1),
+            createRowButton('Remove', () => removeProvider(index), providers.length === 1, true)
+        );
+
+        row.append(enabled, text, actions);
+        frag.appendChild(row);
+    });
+    DOM.providerList.appendChild(frag);
+}
+
+function createRowButton(label, onClick, disabled = false, danger = false) {
+    const button = document.createElement('button');
+    button.className = 'action-btn small' + (danger ? ' danger' : '');
+    button.textContent = label;
+    button.disabled = disabled;
+    button.addEventListener('click', () => onClick(button));
+    return button;
+}
+
+async function saveProviders(list, message) {
+    renderProviderList(await Providers.save(list));
+    if (message) showProvidersMessage(message);
+}
+
+function updateProvider(index, changes) {
+    const list = state.providers.map((p, i) => i === index ? { ...p, ...changes } : p);
+    saveProviders(list, 'Saved.');
+}
+
+function moveProvider(index, delta) {
+    const list = state.providers.slice();
+    const [moved] = list.splice(index, 1);
+    list.splice(index + delta, 0, moved);
+    saveProviders(list, 'Order saved.');
+}
+
+function removeProvider(index) {
+    const provider = state.providers[index];
+    if (!confirm(`Remove "${provider.name}"?`)) return;
+    saveProviders(state.providers.filter((_, i) => i !== index), 'Provider removed.');
+}
+
+/**
+ * Adds a provider from the form. Host access is requested first because
+ * `chrome.permissions.request` must run inside the user gesture.
+ */
+async function addProvider(event) {
+    event.preventDefault();
+    const baseUrl = Providers.normalizeUrl(DOM.providerUrl.value);
+    if (!baseUrl) {
+        showProvidersMessage('Base URL must start with http:// or https://', true);
+        return;
+    }
+    const granted = await chrome.permissions.request({ origins: [Providers.originPattern(baseUrl)] });
+    if (!granted) {
+        showProvidersMessage('Access to this host was not granted.', true);
+        return;
+    }
+
+    const name = DOM.providerName.value.trim();
+    const baseId = normalizeId(name) || DOM.providerType.value;
+    let id = baseId;
+    for (let n = 2; state.providers.some(p => p.id === id); n++) id = `${baseId}-${n}`;
+
+    const entry = { id, type: DOM.providerType.value, name, baseUrl, enabled: true };
+    await saveProviders([...state.providers, entry], `Added "${name}".`);
+    DOM.providerForm.reset();
+    DOM.providerUrl.placeholder = PROVIDER_TYPES[DOM.providerType.value].defaultBaseUrl;
+}
+
+/**
+ * Runs a sample search directly from this page to check the URL and response format.
+ */
+async function testProvider(config, button) {
+    button.disabled = true;
+    try {
+        const results = await Providers.create(config).search('love');
+        showProvidersMessage(`${config.name}: OK, ${results.length} results for a sample search.`);
+    } catch (e) {
+        showProvidersMessage(`${config.name}: ${e.message}`, true);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+async function resetProviders() {
+    if (!confirm('Reset the provider list to the defaults?')) return;
+    renderProviderList(await Providers.reset());
+    showProvidersMessage('Provider list reset to defaults.');
+}
+
+function fillProviderTypes() {
+    for (const [type, info] of Object.entries(PROVIDER_TYPES)) {
+        const option = document.createElement('option');
+        option.value = type;
+        option.textContent = info.label;
+        DOM.providerType.appendChild(option);
+    }
+    DOM.providerUrl.placeholder = PROVIDER_TYPES[DOM.providerType.value].defaultBaseUrl;
+}
+
+function showProvidersMessage(text, isError = false) {
+    DOM.providersMessage.textContent = text;
+    DOM.providersMessage.classList.toggle('error', isError);
+}
+
+function normalizeId(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// --- Lyrics Cache ---
+
+/**
+ * Loads every cache/override entry from storage and re-renders the table.
+ */
+async function loadCache() {
+    const allData = await chrome.storage.local.get(null);
+    state.entries = Object.entries(allData)
+        .filter(([key]) => isLyricsKey(key))
+        .map(([key, value]) => ({
+            key,
+            value,
+            // Approximation of the stored size; getBytesInUse is only used for the total
+            size: key.length + JSON.stringify(value).length
+        }))
+        .sort((a, b) => getLastPlayed(b.value) - getLastPlayed(a.value));
+    state.missKeys = Object.keys(allData).filter(key => key.startsWith(MISS_PREFIX));
+
+    const totalBytes = await chrome.storage.local.getBytesInUse([...state.entries.map(e => e.key), ...state.missKeys]);
+    const overrides = state.entries.filter(e => e.key.startsWith(OVERRIDE_PREFIX)).length;
+    DOM.stats.textContent = `${state.entries.length - overrides} cached · ${overrides} imported · ` +
+        `${state.missKeys.length} not found · ${formatBytes(totalBytes)}`;
+
+    renderList();
+}
+
+function isLyricsKey(key) {
+    return key.startsWith(CACHE_PREFIX) || key.startsWith(OVERRIDE_PREFIX);
+}
+
+function getLastPlayed(entry) {
+    return entry.lastAccessed || entry.updatedAt || entry.createdAt || 0;
+}
+
+/**
+ * Describes the stored lyrics (typed result or legacy synced array).
+ * @param {string} key - Storage key (prefix tells cache from override).
+ * @param {object} entry
+ * @returns {string}
+ */
+function describeEntry(key, entry) {
+    const lyrics = entry.lyrics;
+    const type = Array.isArray(lyrics) || (lyrics && lyrics.type === 'synced') ? 'Synced' : 'Plain';
+    const tags = [type];
+    if (key.startsWith(OVERRIDE_PREFIX)) tags.push('Imported');
+    if (entry.pinnedId) tags.push('Pinned');
+    if (entry.syncOffset) tags.push(`Offset ${entry.syncOffset > 0 ? '+' : ''}${entry.syncOffset}ms`);
+    return tags.join(' · ');
+}
+
+/**
+ * Renders the entries matching the current search query.
+ */
+function renderList() {
+    const query = state.query.toLowerCase();
+    const visible = state.entries.filter(({ value }) => {
+        if (!query) return true;
+        const meta = value.meta || {};
+        return [meta.title, meta.artist, meta.album].some(s => s && s.toLowerCase().includes(query));
+    });
+
+    DOM.list.innerHTML = '';
+    DOM.empty.style.display = visible.length === 0 ? 'block' : 'none';
+    DOM.empty.textContent = state.entries.length === 0 ? 'No cached lyrics.' : 'No entries match your search.';
+
+    const frag = document.createDocumentFragment();
+    visible.forEach(({ key, value, size }) => {
+        const meta = value.meta || {};
+        const row = document.createElement('tr');
+        [
+            meta.title || key,
+            meta.artist || '',
+            meta.album || '',
+            describeEntry(key, value),
+            formatBytes(size),
+            formatDate(getLastPlayed(value))
+        ].forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+
+        const actions = document.createElement('td');
+        actions.className = 'row-actions';
+        if (key.startsWith(CACHE_PREFIX) && meta.title) {
+            const refreshBtn = document.createElement('button');
+            refreshBtn.className = 'action-btn small';
+            refreshBtn.textContent = 'Refresh';
+            refreshBtn.addEventListener('click', () => refreshEntry(key, refreshBtn));
+            actions.appendChild(refreshBtn);
+        }
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'action-btn small danger';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.addEventListener('click', () => deleteEntry(key));
+        actions.appendChild(deleteBtn);
+        row.appendChild(actions);
+
+        frag.appendChild(row);
+    });
+    DOM.list.appendChild(frag);
+}
+
+// --- Entry Actions ---
+
+async function deleteEntry(key) {
+    await chrome.storage.local.remove(key);
+    showMessage('Entry deleted.');
+    loadCache();
+}
+
+/**
+ * Asks the background to re-fetch an entry from the network.
+ * The old entry is kept if nothing better is found.
+ */
+function refreshEntry(key, button) {
+    button.disabled = true;
+    button.textContent = 'Refreshing...';
+    chrome.runtime.sendMessage({ action: "refreshCacheEntry", key, lang: navigator.language }, (response) => {
+        // The worker stopped before answering, ...
+        const error = chrome.runtime.lastError ? chrome.runtime.lastError.message : response && response.error;
+        if (!chrome.runtime.lastError && response && response.success) {
+            showMessage('Lyrics refreshed.');
+        } else {
+            showMessage(`Refresh failed: ${error || 'unknown error'}`, true);
+        }
+        loadCache();
+    });
+}
+
+async function purgeCache() {
+    const keys = state.entries.filter(e => e.key.startsWith(CACHE_PREFIX)).map(e => e.key);
+    // Remembered "not found" songs go too, so they are looked up again; read
+    // fresh because misses are recorded while the page is open
+    const missKeys = Object.keys(await chrome.storage.local.get(null)).filter(key => key.startsWith(MISS_PREFIX));
+    if (keys.length === 0 && missKeys.length === 0) return;
+    if (!confirm(`Delete ${keys.length} cached lyrics and ${missKeys.length} "not found" songs? Imported files are kept.`)) return;
+    await chrome.storage.local.remove([...keys, ...missKeys]);
+    showMessage(`Purged ${keys.length} entries and ${missKeys.length} "not found" songs.`);
+    loadCache();
+}
+
+// --- Export / Import ---
+
+function exportCache() {
+    const entries = {};
+    state.entries.forEach(({ key, value }) => { entries[key] = value; });
+    const payload = {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        entries
+    };
+    downloadJson(`ytm-lyrics-cache-${new Date().toISOString().slice(0, 10)}.json`, JSON.stringify(payload));
+}
+
+function isValidLine(line) {
+    return !!line && typeof line.time === 'number' && isFinite(line.time) && typeof line.text === 'string';
+}
+
+/**
+ * Checks an entry's lyrics payload: a typed result, or the bare synced line
+ * array older cache entries still hold.
+ * @param {*} lyrics
+ * @returns {boolean}
+ */
+function isValidLyrics(lyrics) {
+    if (Array.isArray(lyrics)) return lyrics.every(isValidLine);
+    if (!lyrics) return false;
+    if (lyrics.type === 'synced') return Array.isArray(lyrics.lines) && lyrics.lines.every(isValidLine);
+    if (lyrics.type === 'plain') return typeof lyrics.text === 'string';
+    return false;
+}
+
+/**
+ * Merges entries from an exported JSON file into storage.
+ * Only lyrics keys whose payload is valid synced or plain lyrics are
+ * accepted; the rest are skipped and counted.
+ * @param {File} file
+ */
+async function importCache(file) {
+    if (!file) return;
+    let payload;
+    try {
+        payload = JSON.parse(await file.text());
+    } catch (e) {
+        showMessage('Import failed: file is not valid JSON.', true);
+        return;
+    }
+    if (!payload || payload.format !== EXPORT_FORMAT || typeof payload.entries !== 'object') {
+        showMessage('Import failed: not a lyrics cache export.', true);
+        return;
+    }
+
+    const valid = {};
+    let skipped = 0;
+    for (const [key, value] of Object.entries(payload.entries)) {
+        if (isLyricsKey(key) && value && isValidLyrics(value.lyrics)) valid[key] = value;
+        else skipped++;
+    }
+    const count = Object.keys(valid).length;
+    if (count === 0) {
+        showMessage(`Import failed: no valid entries found${skipped > 0 ? ` (${skipped} invalid)` : ''}.`, true);
+        return;
+    }
+    await chrome.storage.local.set(valid);
+    showMessage(skipped > 0 ? `Imported ${count} entries, skipped ${skipped} invalid.` : `Imported ${count} entries.`);
+    loadCache();
+}
+
+// --- Helpers ---
+
+function downloadJson(filename, text) {
+    const blob = new Blob([text], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+function showMessage(text, isError = false) {
+    DOM.message.textContent = text;
+    DOM.message.classList.toggle('error', isError);
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function formatDate(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleDateString() : '';
+}
+
+// --- Event Listeners ---
+
+DOM.resetSettingsBtn.addEventListener('click', resetSettings);
+// chrome:// pages cannot be linked to, only opened through the tabs API
+DOM.browserShortcutsBtn.addEventListener('click', () => chrome.tabs.create({ url: 'chrome://extensions/shortcuts' }));
+Settings.onChange(fillSettingsForm);
+
+DOM.themeSelect.addEventListener('change', selectTheme);
+DOM.themeDuplicateBtn.addEventListener('click', duplicateTheme);
+DOM.themeDeleteBtn.addEventListener('click', deleteTheme);
+DOM.themeExportBtn.addEventListener('click', exportTheme);
+DOM.themeImportBtn.addEventListener('click', () => DOM.themeImportFile.click());
+DOM.themeImportFile.addEventListener('change', () => {
+    importTheme(DOM.themeImportFile.files[0]);
+    DOM.themeImportFile.value = '';
+});
+Themes.onChange(fillThemeEditor);
+
+DOM.providerForm.addEventListener('submit', addProvider);
+DOM.providerType.addEventListener('change', () => {
+    DOM.providerUrl.placeholder = PROVIDER_TYPES[DOM.providerType.value].defaultBaseUrl;
+});
+DOM.resetProvidersBtn.addEventListener('click', resetProviders);
+Providers.onChange(renderProviderList);
+
+DOM.search.addEventListener('input', () => {
+    state.query = DOM.search.value.trim();
+    renderList();
+});
+DOM.exportBtn.addEventListener('click', exportCache);
+DOM.importBtn.addEventListener('click', () => DOM.importFile.click());
+DOM.importFile.addEventListener('change', () => {
+    importCache(DOM.importFile.files[0]);
+    DOM.importFile.value = '';
+});
+DOM.purgeBtn.addEventListener('click', purgeCache);
+
+// Keep the list current while songs are played in other tabs
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && Object.keys(changes).some(isLyricsKey)) {
+        loadCache();
+    }
+});
+
+// Initialize on load
+document.addEventListener('DOMContentLoaded', async () => {
+    renderSettingsForm();
+    fillSettingsForm(await Settings.load());
+    renderThemeEditor();
+    fillThemeEditor(await Themes.load());
+    fillProviderTypes();
+    renderProviderList(await Providers.load());
+    loadCache();
+});
@@ -0,0 +1,43 @@
+/**
+ * page-bridge.js
+ *
+ * Overview:
+ * Runs in the page's main world (manifest `"world": "MAIN"`), where the
+ * YouTube player API is reachable. Content scripts live in an isolated world
+ * and cannot call it, so metadata.js asks through a DOM event and this script
+ * answers synchronously with a JSON string (objects do not cross worlds).
+ *
+ * Only reads player state; nothing is sent anywhere else.
+ */
+'use strict';
+
+(function() {
+    // Must match metadata.js
+    const REQUEST_EVENT = 'ytm-modern-ui:request-player-data';
+    const RESPONSE_EVENT = 'ytm-modern-ui:player-data';
+
+    // The main world outlives extension reloads, so a re-injected copy
+    // (background.js) may find the previous one still answering
+    const INSTALLED = Symbol.for('ytm-modern-ui.page-bridge');
+    if (window[INSTALLED]) return;
+    window[INSTALLED] = true;
+
+    document.addEventListener(REQUEST_EVENT, () => {
+        let data = null;
+        try {
+            const player = document.getElementById('movie_player');
+            if (player && typeof player.getVideoData === 'function') {
+                const video = player.getVideoData() || {};
+                data = {
+                    videoId: video.video_id || null,
+                    title: video.title || '',
+                    author: video.author || '',
+                    duration: typeof player.getDuration === 'function' ? player.getDuration() || 0 : 0
+                };
+            }
+        } catch (e) {
+            data = null;
+        }
+        document.dispatchEvent(new CustomEvent(RESPONSE_EVENT, { detail: JSON.stringify(data) }));
+    });
+})();
@@ -0,0 +1,193 @@
+/**
+ * palette.js
+ *
+ * Overview:
+ * Extracts a small color palette from album artwork for theming the
+ * immersive UI. Loaded as a content script before content.js and exposed as
+ * the `Palette` global.
+ *
+ * Key Features:
+ * - Extraction: The artwork is downscaled on an OffscreenCanvas and its
+ *   pixels bucketed by color; the buckets give the dominant, vibrant and
+ *   muted colors.
+ * - Contrast: Text colors are derived from the palette and lightened until
+ *   they meet WCAG contrast ratios against the (darkened) background.
+ * - Swatches: A handful of the most common distinct colors for the animated
+ *   background (mesh.js).
+ *
+ * Colors are `[r, g, b]` arrays (0-255) internally and CSS strings on output.
+ */
+'use strict';
+
+globalThis.Palette = (function() {
+    const SAMPLE_SIZE = 48;          // Artwork is scaled down to this many pixels per side
+    const BUCKET_SHIFT = 4;          // 16 levels per channel
+    const MIN_ALPHA = 128;
+    const SWATCH_COUNT = 5;
+    const MIN_SWATCH_DISTANCE = 48;  // Euclidean RGB distance between swatches
+
+    // #ytm-custom-bg is the artwork with at most `brightness(0.4)` (themes.js caps it there)
+    const BACKGROUND_BRIGHTNESS = 0.4;
+
+    // WCAG 2.x: 4.5 for body text, 7 for enhanced contrast
+    const MIN_CONTRAST_ACTIVE = 4.5;
+    const MIN_CONTRAST_TITLE = 7;
+
+    /**
+     * Loads the image with CORS so its pixels can be read.
+     * @param {string} url
+     * @returns {Promise<HTMLImageElement>}
+     */
+    async function loadImage(url) {
+        const img = new Image();
+        img.crossOrigin = 'anonymous';
+        img.src = url;
+        await img.decode();
+        return img;
+    }
+
+    /**
+     * @param {Uint8ClampedArray} data - RGBA pixels.
+     * @returns {Array<{rgb: number[], count: number, s: number, l: number}>} Buckets, most common first.
+     */
+    function bucketPixels(data) {
+        const buckets = new Map();
+        for (let i = 0; i < data.length; i += 4) {
+            if (data[i + 3] < MIN_ALPHA) continue;
+            const r = data[i], g = data[i + 1], b = data[i + 2];
+            const key = ((r >> BUCKET_SHIFT) << 8) | ((g >> BUCKET_SHIFT) << 4) | (b >> BUCKET_SHIFT);
+            let bucket = buckets.get(key);
+            if (!bucket) {
+                bucket = { r: 0, g: 0, b: 0, count: 0 };
+                buckets.set(key, bucket);
+            }
+            bucket.r += r; bucket.g += g; bucket.b += b; bucket.count++;
+        }
+        return Array.from(buckets.values())
+            .map(bucket => {
+                const rgb = [bucket.r, bucket.g, bucket.b].map(sum => Math.round(sum / bucket.count));
+                const { s, l } = toHsl(rgb);
+                return { rgb, count: bucket.count, s, l };
+            })
+            .sort((a, b) => b.count - a.count);
+    }
+
+    /**
+     * @param {Array<{rgb: number[], count: number, s: number, l: number}>} buckets
+     * @returns {{dominant: number[], vibrant: number[], muted: number[], swatches: number[][]}}
+     */
+    function pickColors(buckets) {
+        const dominant = buckets[0].rgb;
+        const best = (filter, score) => buckets.filter(filter)
+            .reduce((top, bucket) => (!top || score(bucket) > score(top) ? bucket : top), null);
+        // Colorful and neither too dark nor too light, weighted by how much of the image it covers
+        const vibrant = best(
+            bucket => bucket.s >= 0.35 && bucket.l >= 0.25 && bucket.l <= 0.8,
+            bucket => bucket.s * (1 - Math.abs(bucket.l - 0.55)) * Math.sqrt(bucket.count)
+        );
+        const muted = best(
+            bucket => bucket.s < 0.35 && bucket.l >= 0.15 && bucket.l <= 0.65,
+            bucket => bucket.count
+        );
+        const colors = {
+            dominant: dominant,
+            vibrant: vibrant ? vibrant.rgb : dominant,
+            muted: muted ? muted.rgb : mix(dominant, [128, 128, 128], 0.5)
+        };
+
+        // The three above first, then common colors unlike any picked so far
+        const swatches = [];
+        [colors.dominant, colors.vibrant, colors.muted, ...buckets.map(bucket => bucket.rgb)].forEach(rgb => {
+            if (swatches.length < SWATCH_COUNT && swatches.every(other => distance(rgb, other) >= MIN_SWATCH_DISTANCE)) {
+                swatches.push(rgb);
+            }
+        });
+        colors.swatches = swatches;
+        return colors;
+    }
+
+    function distance(a, b) {
+        return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+    }
+
+    function toHsl([r, g, b]) {
+        const max = Math.max(r, g, b) / 255;
+        const min = Math.min(r, g, b) / 255;
+        const l = (max + min) / 2;
+        const d = max - min;
+        const s = d === 0 ? 0 : d / (1 - Math.abs(2 * l - 1));
+        return { s, l };
+    }
+
+    function mix(a, b, amount) {
+        return a.map((value, i) => Math.round(value + (b[i] - value) * amount));
+    }
+
+    // WCAG relative luminance
+    function luminance(rgb) {
+        const [r, g, b] = rgb.map(value => {
+            const c = value / 255;
+            return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        });
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    }
+
+    function contrastRatio(a, b) {
+        const la = luminance(a);
+        const lb = luminance(b);
+        return (Math.max(la, lb) + 0.05) / (Math.min(la, lb) + 0.05);
+    }
+
+    /**
+     * Lightens `color` towards white until it reaches `minRatio` against `background`.
+     * The background is always dark here, so lightening is enough.
+     */
+    function readableOn(color, background, minRatio) {
+        for (let step = 0; step <= 10; step++) {
+            const candidate = mix(color, [255, 255, 255], step / 10);
+            if (contrastRatio(candidate, background) >= minRatio) return candidate;
+        }
+        return [255, 255, 255];
+    }
+
+    function toCss(rgb) {
+        return `rgb(${rgb.join(', ')})`;
+    }
+
+    return {
+        /**
+         * @param {string} url - Artwork URL (must allow CORS).
+         * @returns {Promise<{
+         *   dominant: string, vibrant: string, muted: string, active: string, title: string, swatches: string[]
+         * }|null>} CSS colors, or null if the image could not be read.
+         */
+        async extract(url) {
+            try {
+                const img = await loadImage(url);
+                const canvas = new OffscreenCanvas(SAMPLE_SIZE, SAMPLE_SIZE);
+                const ctx = canvas.getContext('2d', { willReadFrequently: true });
+                ctx.drawImage(img, 0, 0, SAMPLE_SIZE, SAMPLE_SIZE);
+                const buckets = bucketPixels(ctx.getImageData(0, 0, SAMPLE_SIZE, SAMPLE_SIZE).data);
+                if (buckets.length === 0) return null;
+
+                const colors = pickColors(buckets);
+                // Text sits on the mesh of all of them; the lightest one is the worst case
+                const lightest = [colors.dominant, colors.vibrant, colors.muted]
+                    .reduce((a, b) => (luminance(b) > luminance(a) ? b : a));
+                const background = lightest.map(value => value * BACKGROUND_BRIGHTNESS);
+                return {
+                    dominant: toCss(colors.dominant),
+                    vibrant: toCss(colors.vibrant),
+                    muted: toCss(colors.muted),
+                    active: toCss(readableOn(colors.vibrant, background, MIN_CONTRAST_ACTIVE)),
+                    title: toCss(readableOn(mix(colors.dominant, [255, 255, 255], 0.8), background, MIN_CONTRAST_TITLE)),
+                    swatches: colors.swatches.map(toCss)
+                };
+            } catch (e) {
+                // Tainted canvas (no CORS), decode failure, ...
+                console.warn('[YTM Modern UI] Palette extraction failed:', e);
+                return null;
+            }
+        }
+    };
+})();
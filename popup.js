@@ -13,6 +13,10 @@
  * - Real-time Updates: Listens for 'storeUpdated' events.
  * - Focus Control: Bring specific tab to foreground.
  * - Immersive Mode Toggle: Controls the specific tab currently displayed.
+ * - Playback Controls: Play/pause, track skip and seek for the displayed tab,
+ *   routed through the background script to that tab's content script.
+ * - Lyrics Preview: Current/next synced line of the displayed tab, with an
+ *   expandable scrolling mini view.
  */
 'use strict';
 
@@ -29,6 +33,21 @@ const DOM = {
     nextBtn: document.getElementById('btn-next'),
     pageIndicator: document.getElementById('page-indicator'),
     focusBtn: document.getElementById('btn-focus'),
+
+    // Playback Controls
+    trackPrevBtn: document.getElementById('btn-track-prev'),
+    playPauseBtn: document.getElementById('btn-play-pause'),
+    trackNextBtn: document.getElementById('btn-track-next'),
+    seekBar: document.getElementById('seek-bar'),
+    timeCurrent: document.getElementById('time-current'),
+    timeDuration: document.getElementById('time-duration'),
+
+    // Lyrics Preview
+    lyricsPreview: document.getElementById('lyrics-preview'),
+    lyricCurrent: document.getElementById('lyric-current'),
+    lyricNext: document.getElementById('lyric-next'),
+    lyricsMini: document.getElementById('lyrics-mini'),
+    optionsBtn: document.getElementById('btn-options'),
     
     // Settings
     modeToggle: document.getElementById('mode-toggle'),
@@ -42,9 +61,16 @@ const DOM = {
 let state = {
     players: [],      // Array of player objects from background
     currentIndex: 0,  // Index of the currently displayed player
-    isInitialized: false
+    isInitialized: false,
+    isSeeking: false, // True while the user drags the seek bar
+    isLyricsExpanded: false,
+    miniViewKey: "",  // tabId + lyricsId the mini view was built for
+    lyricLines: {},   // tabId -> { lyricsId, lines } fetched from background
+    requestedLines: {} // tabId -> lyricsId being fetched
 };
 
+const PROGRESS_TICK = 500; // ms between local progress interpolation updates
+
 /**
  * Initializes the popup by fetching the initial snapshot
  * and requesting a force sync to ensure freshness.
@@ -142,6 +168,10 @@ function renderUI() {
         DOM.statusBadge.className = 'badge paused';
     }
 
+    DOM.playPauseBtn.textContent = currentPlayer.status === 'playing' ? '⏸' : '▶';
+    renderProgress();
+    renderLyricsPreview(currentPlayer);
+
     // Update Navigation Controls
     if (state.players.length > 1) {
         DOM.prevBtn.style.visibility = 'visible';
@@ -154,6 +184,106 @@ function renderUI() {
     }
 }
 
+/**
+ * Updates the seek bar. Between store updates the position is
+ * extrapolated from the broadcast timestamp while playing.
+ */
+function renderProgress() {
+    const player = state.players[state.currentIndex];
+    if (!player || state.isSeeking) return;
+
+    const duration = isFinite(player.duration) ? player.duration : 0;
+    let position = player.currentTime || 0;
+    if (player.status === 'playing' && player.timestamp) {
+        position += (Date.now() - player.timestamp) / 1000;
+    }
+    position = Math.min(position, duration);
+
+    DOM.seekBar.max = duration;
+    DOM.seekBar.value = position;
+    DOM.seekBar.disabled = duration === 0;
+    DOM.timeCurrent.textContent = formatTime(position);
+    DOM.timeDuration.textContent = formatTime(duration);
+}
+
+/**
+ * Shows the current and next lyric line broadcast by the tab.
+ * The mini view is only rebuilt when the tab or its lyrics change.
+ * @param {object} player
+ */
+function renderLyricsPreview(player) {
+    const cached = state.lyricLines[player.tabId];
+    if (!cached || cached.lyricsId !== player.lyricsId) loadLyricLines(player);
+    const lines = cached && cached.lyricsId === player.lyricsId ? cached.lines : [];
+    if (lines.length === 0) {
+        DOM.lyricsPreview.style.display = 'none';
+        return;
+    }
+    DOM.lyricsPreview.style.display = 'block';
+    DOM.lyricsPreview.classList.toggle('expanded', state.isLyricsExpanded);
+
+    const index = typeof player.lyricIndex === 'number' ? player.lyricIndex : -1;
+    DOM.lyricCurrent.textContent = index >= 0 ? lines[index] : '♪';
+    DOM.lyricNext.textContent = lines[index + 1] || '';
+
+    const key = `${player.tabId}:${player.lyricsId}`;
+    if (key !== state.miniViewKey) {
+        state.miniViewKey = key;
+        DOM.lyricsMini.innerHTML = '';
+        lines.forEach(text => {
+            const line = document.createElement('div');
+            line.className = 'mini-line';
+            line.textContent = text;
+            DOM.lyricsMini.appendChild(line);
+        });
+    }
+
+    const miniLines = DOM.lyricsMini.children;
+    for (let i = 0; i < miniLines.length; i++) {
+        miniLines[i].classList.toggle('active', i === index);
+    }
+    if (state.isLyricsExpanded && miniLines[index]) {
+        miniLines[index].scrollIntoView({ block: 'center', behavior: 'smooth' });
+    }
+}
+
+/**
+ * Fetches a tab's lyric lines; the store only carries their `lyricsId`.
+ * Re-renders once they arrive.
+ * @param {object} player
+ */
+function loadLyricLines(player) {
+    const { tabId, lyricsId } = player;
+    if (!lyricsId || state.requestedLines[tabId] === lyricsId) return;
+    state.requestedLines[tabId] = lyricsId;
+    chrome.runtime.sendMessage({ action: "getLyricLines", tabId }, (lines) => {
+        if (state.requestedLines[tabId] !== lyricsId) return;
+        if (chrome.runtime.lastError) {
+            // Let the next player update ask again
+            delete state.requestedLines[tabId];
+            return;
+        }
+        state.lyricLines[tabId] = { lyricsId, lines: Array.isArray(lines) ? lines : [] };
+        renderUI();
+    });
+}
+
+function formatTime(seconds) {
+    const total = Math.max(0, Math.floor(seconds || 0));
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Sends a playback command to the displayed tab via the background script.
+ * @param {string} command - 'togglePlay' | 'next' | 'previous' | 'seek'
+ * @param {number} [value]
+ */
+function sendPlayerControl(command, value) {
+    const player = state.players[state.currentIndex];
+    if (!player || !player.tabId) return;
+    chrome.runtime.sendMessage({ action: "playerControl", tabId: player.tabId, command, value });
+}
+
 // --- Event Listeners ---
 
 // 1. Navigation
@@ -169,6 +299,28 @@ DOM.nextBtn.addEventListener('click', () => {
     renderUI();
 });
 
+// 1b. Playback Controls
+DOM.playPauseBtn.addEventListener('click', () => sendPlayerControl('togglePlay'));
+DOM.trackPrevBtn.addEventListener('click', () => sendPlayerControl('previous'));
+DOM.trackNextBtn.addEventListener('click', () => sendPlayerControl('next'));
+
+DOM.seekBar.addEventListener('input', () => {
+    state.isSeeking = true;
+    DOM.timeCurrent.textContent = formatTime(Number(DOM.seekBar.value));
+});
+DOM.seekBar.addEventListener('change', () => {
+    state.isSeeking = false;
+    sendPlayerControl('seek', Number(DOM.seekBar.value));
+});
+
+setInterval(renderProgress, PROGRESS_TICK);
+
+// 1c. Lyrics Preview: toggle the mini view
+DOM.lyricsPreview.addEventListener('click', () => {
+    state.isLyricsExpanded = !state.isLyricsExpanded;
+    renderUI();
+});
+
 // 2. Focus Tab
 DOM.focusBtn.addEventListener('click', () => {
     const player = state.players[state.currentIndex];
@@ -178,7 +330,12 @@ DOM.focusBtn.addEventListener('click', () => {
     }
 });
 
-// 3. Settings Toggle (Global)
+// 3. Options Page
+DOM.optionsBtn.addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+});
+
+// 4. Settings Toggle (Global)
 DOM.modeToggle.addEventListener('change', () => {
     const isEnabled = DOM.modeToggle.checked;
     chrome.storage.local.set({ isEnabled: isEnabled });
@@ -191,7 +348,7 @@ DOM.modeToggle.addEventListener('change', () => {
     });
 });
 
-// 4. Real-time Updates from Background
+// 5. Real-time Updates from Background
 chrome.runtime.onMessage.addListener((request) => {
     if (request.action === 'storeUpdated') {
         updatePlayersList(request.store);
@@ -0,0 +1,365 @@
+/**
+ * providers.js
+ *
+ * Overview:
+ * Lyrics provider registry shared by background.js and the options page.
+ * background.js no longer talks to LRCLIB directly; it asks each enabled
+ * provider in the user's order and scores what they return.
+ *
+ * Key Features:
+ * - Provider Interface: `get()`, `getById()` and `search()` returning records
+ *   with LRCLIB field names, plus declared `capabilities`.
+ * - Provider Types: 'lrclib' (lrclib.net or a self-hosted mirror) and
+ *   'http' (a simple JSON lyrics server, e.g. one running on the LAN).
+ * - Ordered List: Stored under `lyricsProviders` in `chrome.storage.local`,
+ *   validated like the settings store and reported live via `onChange()`.
+ * - Resilient Requests: Per-request timeout, exponential backoff on network
+ *   errors and 5xx, `Retry-After` on 429 with a per-host cooldown. Failures
+ *   are thrown as `LyricsFetchError` carrying a `category`.
+ *
+ * Loaded as a classic script (importScripts / <script>), it exposes
+ * `PROVIDER_TYPES`, `Providers`, `FETCH_ERROR` and `LyricsFetchError` as globals.
+ */
+'use strict';
+
+const PROVIDERS_STORAGE_KEY = "lyricsProviders";
+
+// Identifies the extension to LRCLIB (https://lrclib.net/docs)
+const LRCLIB_CLIENT_NAME = "YTM-Modern-UI/1.0 (Unofficial Extension)";
+
+const FETCH_POLICY = {
+    timeout: 8000,          // Per attempt (ms)
+    maxRetries: 2,          // Extra attempts after the first one
+    backoffBase: 500,       // 500ms, 1000ms, ... plus jitter
+    maxRetryAfter: 10000,   // Longer 429 waits are not slept through
+    defaultRetryAfter: 30000
+};
+
+/**
+ * Failure categories reported to content.js. "Not found" is not an error:
+ * providers resolve `null` for it.
+ */
+const FETCH_ERROR = {
+    OFFLINE: 'offline',
+    TIMEOUT: 'timeout',
+    NETWORK: 'network',
+    RATE_LIMITED: 'rate_limited',
+    SERVER: 'server'
+};
+
+class LyricsFetchError extends Error {
+    /**
+     * @param {string} message
+     * @param {string} category - One of FETCH_ERROR.
+     * @param {number} [retryAt] - Epoch ms after which a retry makes sense (rate limits).
+     */
+    constructor(message, category, retryAt) {
+        super(message);
+        this.name = 'LyricsFetchError';
+        this.category = category;
+        this.retryAt = retryAt || 0;
+    }
+}
+
+// origin -> epoch ms until which requests fail fast after a 429
+const rateLimitedUntil = new Map();
+
+/**
+ * Records returned by every provider use LRCLIB field names:
+ * { id, trackName, artistName, albumName, duration, instrumental,
+ *   syncedLyrics, plainLyrics }
+ *
+ * Provider methods resolve `null` (or `[]`) when nothing was found and
+ * reject on network or server errors.
+ */
+const PROVIDER_TYPES = {
+    lrclib: {
+        label: 'LRCLIB-compatible API',
+        defaultBaseUrl: 'https://lrclib.net/api',
+        capabilities: { synced: true, plain: true, search: true },
+        create: createLrclibProvider
+    },
+    http: {
+        label: 'Local lyrics server',
+        defaultBaseUrl: 'http://localhost:8080',
+        capabilities: { synced: true, plain: true, search: true },
+        create: createHttpProvider
+    }
+};
+
+const DEFAULT_PROVIDERS = [
+    { id: 'lrclib', type: 'lrclib', name: 'LRCLIB', baseUrl: 'https://lrclib.net/api', enabled: true }
+];
+
+// --- Provider Types ---
+
+/**
+ * LRCLIB API: `/get`, `/get/{id}` and `/search`.
+ * @param {{baseUrl: string}} config
+ */
+function createLrclibProvider(config) {
+    const headers = { 'Lrclib-Client': LRCLIB_CLIENT_NAME };
+
+    return {
+        async get({ title, artist, album, duration }) {
+            const params = new URLSearchParams({
+                track_name: title,
+                artist_name: artist,
+                duration: Math.round(duration)
+            });
+            if (album) params.append('album_name', album);
+            return fetchJson(`${config.baseUrl}/get?${params.toString()}`, headers);
+        },
+
+        async getById(id) {
+            return fetchJson(`${config.baseUrl}/get/${encodeURIComponent(id)}`, headers);
+        },
+
+        async search(query) {
+            const params = new URLSearchParams({ q: query });
+            const data = await fetchJson(`${config.baseUrl}/search?${params.toString()}`, headers);
+            return Array.isArray(data) ? data : [];
+        }
+    };
+}
+
+/**
+ * Minimal JSON lyrics server:
+ * - GET {baseUrl}/lyrics?title=&artist=&album=&duration=  -> record | 404
+ * - GET {baseUrl}/lyrics/{id}                             -> record | 404
+ * - GET {baseUrl}/search?q=                               -> record[]
+ * where record is { id, title, artist, album, duration, synced, plain }.
+ * `synced` is LRC text (enhanced `<mm:ss.xx>` word tags allowed).
+ * @param {{baseUrl: string}} config
+ */
+function createHttpProvider(config) {
+    const toRecord = (data) => data ? {
+        id: data.id,
+        trackName: data.title,
+        artistName: data.artist,
+        albumName: data.album,
+        duration: data.duration,
+        instrumental: !!data.instrumental,
+        syncedLyrics: data.synced || null,
+        plainLyrics: data.plain || null
+    } : null;
+
+    return {
+        async get({ title, artist, album, duration }) {
+            const params = new URLSearchParams({ title, artist, duration: Math.round(duration) });
+            if (album) params.append('album', album);
+            return toRecord(await fetchJson(`${config.baseUrl}/lyrics?${params.toString()}`));
+        },
+
+        async getById(id) {
+            return toRecord(await fetchJson(`${config.baseUrl}/lyrics/${encodeURIComponent(id)}`));
+        },
+
+        async search(query) {
+            const params = new URLSearchParams({ q: query });
+            const data = await fetchJson(`${config.baseUrl}/search?${params.toString()}`);
+            return Array.isArray(data) ? data.map(toRecord) : [];
+        }
+    };
+}
+
+/**
+ * GETs a JSON resource following FETCH_POLICY.
+ * @returns {Promise<*>} Parsed body, or null for 404.
+ * @throws {LyricsFetchError}
+ */
+async function fetchJson(url, headers = {}) {
+    const origin = new URL(url).origin;
+
+    for (let attempt = 0; ; attempt++) {
+        const blockedUntil = rateLimitedUntil.get(origin) || 0;
+        if (Date.now() < blockedUntil) {
+            throw new LyricsFetchError(`Rate limited by ${origin}`, FETCH_ERROR.RATE_LIMITED, blockedUntil);
+        }
+        if (navigator.onLine === false) {
+            throw new LyricsFetchError("Browser is offline", FETCH_ERROR.OFFLINE);
+        }
+
+        let res;
+        try {
+            res = await fetchWithTimeout(url, headers);
+        } catch (e) {
+            // Being offline will not change within the backoff window
+            if (e.category === FETCH_ERROR.OFFLINE || attempt >= FETCH_POLICY.maxRetries) throw e;
+            await backoff(attempt);
+            continue;
+        }
+
+        if (res.status === 404) return null;
+        if (res.ok) {
+            return res.json().catch(() => {
+                throw new LyricsFetchError("Invalid JSON response", FETCH_ERROR.SERVER);
+            });
+        }
+
+        if (res.status === 429) {
+            const waitMs = parseRetryAfter(res.headers.get('Retry-After'));
+            if (waitMs > FETCH_POLICY.maxRetryAfter || attempt >= FETCH_POLICY.maxRetries) {
+                const retryAt = Date.now() + waitMs;
+                rateLimitedUntil.set(origin, retryAt);
+                throw new LyricsFetchError(`Rate limited by ${origin}`, FETCH_ERROR.RATE_LIMITED, retryAt);
+            }
+            await sleep(waitMs);
+            continue;
+        }
+
+        // Other 4xx will not change on retry
+        const error = new LyricsFetchError(`Status: ${res.status}`, FETCH_ERROR.SERVER);
+        if (res.status < 500 || attempt >= FETCH_POLICY.maxRetries) throw error;
+        await backoff(attempt);
+    }
+}
+
+/**
+ * @throws {LyricsFetchError} TIMEOUT / OFFLINE / NETWORK when no response arrives.
+ */
+async function fetchWithTimeout(url, headers) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), FETCH_POLICY.timeout);
+    try {
+        return await fetch(url, { headers, signal: controller.signal });
+    } catch (e) {
+        if (controller.signal.aborted) {
+            throw new LyricsFetchError(`Timed out after ${FETCH_POLICY.timeout}ms`, FETCH_ERROR.TIMEOUT);
+        }
+        const category = navigator.onLine === false ? FETCH_ERROR.OFFLINE : FETCH_ERROR.NETWORK;
+        throw new LyricsFetchError(e.message || "Network error", category);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * @param {string|null} value - Delay in seconds or an HTTP date.
+ * @returns {number} Milliseconds to wait.
+ */
+function parseRetryAfter(value) {
+    if (!value) return FETCH_POLICY.defaultRetryAfter;
+    const seconds = Number(value);
+    if (isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return isNaN(date) ? FETCH_POLICY.defaultRetryAfter : Math.max(0, date - Date.now());
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Exponential delay with jitter so parallel requests do not retry in lockstep.
+ */
+function backoff(attempt) {
+    const delay = FETCH_POLICY.backoffBase * 2 ** attempt;
+    return sleep(delay + Math.random() * delay / 2);
+}
+
+// --- Provider List Store ---
+
+const Providers = {
+    /**
+     * @returns {Array<object>} A fresh copy of the default provider list.
+     */
+    defaults() {
+        return DEFAULT_PROVIDERS.map(p => ({ ...p }));
+    },
+
+    /**
+     * Drops malformed entries and duplicate ids, trims trailing slashes from URLs.
+     * An empty result falls back to the defaults so lyrics keep working.
+     * @param {Array<object>} raw
+     * @returns {Array<{id: string, type: string, name: string, baseUrl: string, enabled: boolean}>}
+     */
+    validate(raw) {
+        const seen = new Set();
+        const result = [];
+        for (const entry of Array.isArray(raw) ? raw : []) {
+            if (!entry || !PROVIDER_TYPES[entry.type]) continue;
+            const id = String(entry.id || '').trim();
+            const baseUrl = Providers.normalizeUrl(entry.baseUrl);
+            if (!id || seen.has(id) || !baseUrl) continue;
+            seen.add(id);
+            result.push({
+                id: id,
+                type: entry.type,
+                name: String(entry.name || id).trim() || id,
+                baseUrl: baseUrl,
+                enabled: entry.enabled !== false
+            });
+        }
+        return result.length > 0 ? result : Providers.defaults();
+    },
+
+    /**
+     * @param {string} url
+     * @returns {string|null} http(s) URL without trailing slash, or null if invalid.
+     */
+    normalizeUrl(url) {
+        try {
+            const parsed = new URL(String(url || '').trim());
+            if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+            return parsed.href.replace(/\/+$/, '');
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * @param {string} baseUrl
+     * @returns {string} Match pattern for `chrome.permissions` (custom hosts are optional permissions).
+     */
+    originPattern(baseUrl) {
+        return `${new URL(baseUrl).origin}/*`;
+    },
+
+    async load() {
+        const result = await chrome.storage.local.get(PROVIDERS_STORAGE_KEY);
+        return Providers.validate(result[PROVIDERS_STORAGE_KEY]);
+    },
+
+    /**
+     * @param {Array<object>} list - Full provider list in priority order.
+     * @returns {Promise<Array<object>>} The validated list that was written.
+     */
+    async save(list) {
+        const next = Providers.validate(list);
+        await chrome.storage.local.set({ [PROVIDERS_STORAGE_KEY]: next });
+        return next;
+    },
+
+    async reset() {
+        await chrome.storage.local.remove(PROVIDERS_STORAGE_KEY);
+        return Providers.defaults();
+    },
+
+    /**
+     * @param {function(Array<object>): void} callback
+     */
+    onChange(callback) {
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local' && changes[PROVIDERS_STORAGE_KEY]) {
+                callback(Providers.validate(changes[PROVIDERS_STORAGE_KEY].newValue));
+            }
+        });
+    },
+
+    /**
+     * Instantiates a stored entry.
+     * @param {object} config - Validated list entry.
+     * @returns {object} Provider with `id`, `name`, `type`, `capabilities`, `get`, `getById`, `search`.
+     */
+    create(config) {
+        const type = PROVIDER_TYPES[config.type];
+        return {
+            id: config.id,
+            name: config.name,
+            type: config.type,
+            capabilities: { ...type.capabilities },
+            ...type.create(config)
+        };
+    }
+};
@@ -0,0 +1,168 @@
+/**
+ * romanize.js
+ *
+ * Overview:
+ * Offline romanization tables for lyric subtitles. Loaded as a content
+ * script before content.js and exposed as the `Romanizer` global.
+ *
+ * Supported scripts:
+ * - 'ja': Hiragana/Katakana -> Hepburn (yoon, sokuon, long vowel mark).
+ *         Kanji has no offline reading table and is left as is.
+ * - 'ko': Hangul syllables -> Revised Romanization (per syllable, without
+ *         sound-change rules between syllables).
+ * - 'ru': Cyrillic (Russian/Ukrainian letters) -> Latin.
+ */
+'use strict';
+
+globalThis.Romanizer = (function() {
+    const SCRIPT_PATTERNS = {
+        ja: /[ぁ-ゖァ-ヺー]/,
+        ko: /[가-힣]/,
+        ru: /[Ѐ-ӿ]/
+    };
+
+    // --- Japanese (Kana -> Hepburn) ---
+
+    const KANA = {
+        'あ': 'a', 'い': 'i', 'う': 'u', 'え': 'e', 'お': 'o',
+        'か': 'ka', 'き': 'ki', 'く': 'ku', 'け': 'ke', 'こ': 'ko',
+        'が': 'ga', 'ぎ': 'gi', 'ぐ': 'gu', 'げ': 'ge', 'ご': 'go',
+        'さ': 'sa', 'し': 'shi', 'す': 'su', 'せ': 'se', 'そ': 'so',
+        'ざ': 'za', 'じ': 'ji', 'ず': 'zu', 'ぜ': 'ze', 'ぞ': 'zo',
+        'た': 'ta', 'ち': 'chi', 'つ': 'tsu', 'て': 'te', 'と': 'to',
+        'だ': 'da', 'ぢ': 'ji', 'づ': 'zu', 'で': 'de', 'ど': 'do',
+        'な': 'na', 'に': 'ni', 'ぬ': 'nu', 'ね': 'ne', 'の': 'no',
+        'は': 'ha', 'ひ': 'hi', 'ふ': 'fu', 'へ': 'he', 'ほ': 'ho',
+        'ば': 'ba', 'び': 'bi', 'ぶ': 'bu', 'べ': 'be', 'ぼ': 'bo',
+        'ぱ': 'pa', 'ぴ': 'pi', 'ぷ': 'pu', 'ぺ': 'pe', 'ぽ': 'po',
+        'ま': 'ma', 'み': 'mi', 'む': 'mu', 'め': 'me', 'も': 'mo',
+        'や': 'ya', 'ゆ': 'yu', 'よ': 'yo',
+        'ら': 'ra', 'り': 'ri', 'る': 'ru', 'れ': 're', 'ろ': 'ro',
+        'わ': 'wa', 'ゐ': 'i', 'ゑ': 'e', 'を': 'o', 'ん': 'n',
+        'ゔ': 'vu', 'ゕ': 'ka', 'ゖ': 'ke'
+    };
+    const SMALL_Y = { 'ゃ': 'a', 'ゅ': 'u', 'ょ': 'o' };
+    const SMALL_VOWEL = { 'ぁ': 'a', 'ぃ': 'i', 'ぅ': 'u', 'ぇ': 'e', 'ぉ': 'o', 'ゎ': 'a' };
+    const SOKUON = 'っ';
+    const LONG_MARK = 'ー';
+
+    function toHiragana(char) {
+        const code = char.charCodeAt(0);
+        // Katakana block mirrors Hiragana at +0x60 (ァ..ヶ)
+        return code >= 0x30A1 && code <= 0x30F6 ? String.fromCharCode(code - 0x60) : char;
+    }
+
+    function romanizeKana(text) {
+        const chars = Array.from(text).map(toHiragana);
+        let result = '';
+        let doubleNext = false;
+
+        for (let i = 0; i < chars.length; i++) {
+            const char = chars[i];
+            let romaji = KANA[char];
+
+            if (char === SOKUON) {
+                doubleNext = true;
+                continue;
+            }
+            if (char === LONG_MARK) {
+                const lastVowel = result.match(/[aeiou]$/);
+                result += lastVowel ? lastVowel[0] : '';
+                continue;
+            }
+            if (romaji === undefined) {
+                // Lone small kana or non-kana: keep readable, then pass through
+                romaji = SMALL_Y[char] !== undefined ? 'y' + SMALL_Y[char] : SMALL_VOWEL[char];
+                if (romaji === undefined) {
+                    doubleNext = false;
+                    result += char;
+                    continue;
+                }
+            }
+
+            const next = chars[i + 1];
+            if (SMALL_Y[next] !== undefined && romaji.endsWith('i') && romaji.length > 1) {
+                // Yoon: ki+ya -> kya, shi+ya -> sha, chi+yu -> chu, ji+yo -> jo
+                const stem = romaji.slice(0, -1);
+                romaji = (/(sh|ch|j)$/.test(stem) ? stem : stem + 'y') + SMALL_Y[next];
+                i++;
+            } else if (SMALL_VOWEL[next] !== undefined) {
+                // Extended katakana: fa, ti, di, she, che, wi, va...
+                romaji = (romaji === 'u' ? 'w' : romaji.slice(0, -1)) + SMALL_VOWEL[next];
+                i++;
+            }
+
+            if (doubleNext) {
+                result += romaji.startsWith('ch') ? 't' : romaji[0];
+                doubleNext = false;
+            }
+            result += romaji;
+        }
+        return result;
+    }
+
+    // --- Korean (Hangul -> Revised Romanization) ---
+
+    const HANGUL_INITIALS = ['g', 'kk', 'n', 'd', 'tt', 'r', 'm', 'b', 'pp', 's', 'ss', '', 'j', 'jj', 'ch', 'k', 't', 'p', 'h'];
+    const HANGUL_MEDIALS = ['a', 'ae', 'ya', 'yae', 'eo', 'e', 'yeo', 'ye', 'o', 'wa', 'wae', 'oe', 'yo', 'u', 'wo', 'we', 'wi', 'yu', 'eu', 'ui', 'i'];
+    const HANGUL_FINALS = ['', 'k', 'k', 'k', 'n', 'n', 'n', 't', 'l', 'k', 'm', 'l', 'l', 'l', 'p', 'l', 'm', 'p', 'p', 't', 't', 'ng', 't', 't', 'k', 't', 'p', 't'];
+
+    function romanizeHangul(text) {
+        return text.replace(/[가-힣]+/g, (word) => {
+            let result = '';
+            for (const char of word) {
+                const index = char.charCodeAt(0) - 0xAC00;
+                result += HANGUL_INITIALS[Math.floor(index / 588)] +
+                          HANGUL_MEDIALS[Math.floor((index % 588) / 28)] +
+                          HANGUL_FINALS[index % 28];
+            }
+            return result;
+        });
+    }
+
+    // --- Cyrillic -> Latin ---
+
+    const CYRILLIC = {
+        'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'ё': 'yo', 'ж': 'zh',
+        'з': 'z', 'и': 'i', 'й': 'y', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o',
+        'п': 'p', 'р': 'r', 'с': 's', 'т': 't', 'у': 'u', 'ф': 'f', 'х': 'kh', 'ц': 'ts',
+        'ч': 'ch', 'ш': 'sh', 'щ': 'shch', 'ъ': '', 'ы': 'y', 'ь': '', 'э': 'e', 'ю': 'yu',
+        'я': 'ya', 'і': 'i', 'ї': 'yi', 'є': 'ye', 'ґ': 'g', 'ў': 'u'
+    };
+
+    function romanizeCyrillic(text) {
+        return text.replace(/[Ѐ-ӿ]/g, (char) => {
+            const lower = char.toLowerCase();
+            const latin = CYRILLIC[lower];
+            if (latin === undefined) return char;
+            return char !== lower && latin ? latin[0].toUpperCase() + latin.slice(1) : latin;
+        });
+    }
+
+    const ROMANIZERS = { ja: romanizeKana, ko: romanizeHangul, ru: romanizeCyrillic };
+
+    return {
+        /**
+         * @param {string} text
+         * @returns {string[]} Script ids ('ja' | 'ko' | 'ru') present in the text.
+         */
+        detectScripts(text) {
+            return Object.keys(SCRIPT_PATTERNS).filter(id => SCRIPT_PATTERNS[id].test(text));
+        },
+
+        /**
+         * Romanizes the parts of `text` written in the enabled scripts.
+         * @param {string} text
+         * @param {string[]} enabledScripts - Subset of 'ja' | 'ko' | 'ru'.
+         * @returns {string|null} Romanized text, or null if nothing was converted.
+         */
+        romanize(text, enabledScripts) {
+            if (!text) return null;
+            let result = text;
+            for (const id of Romanizer.detectScripts(text)) {
+                if (enabledScripts.includes(id)) result = ROMANIZERS[id](result);
+            }
+            return result !== text ? result : null;
+        }
+    };
+})();
@@ -0,0 +1,312 @@
+/**
+ * settings.js
+ *
+ * Overview:
+ * Shared settings store for background.js, content.js and the options page.
+ * All user-tunable values live under one `settings` key in
+ * `chrome.storage.local`, described by SETTINGS_SCHEMA.
+ *
+ * Key Features:
+ * - Defaults & Validation: Unknown keys are dropped, invalid values fall back
+ *   to their default and numbers are clamped to the schema range.
+ * - Migration: Stored objects carry a version and are upgraded step by step.
+ * - Live Updates: `Settings.onChange()` reports validated values from
+ *   `chrome.storage.onChanged`, so open tabs pick up edits without a reload.
+ *
+ * Loaded as a classic script (content_scripts / importScripts / <script>),
+ * it assigns `SETTINGS_SCHEMA` and `Settings` to globalThis; a copy injected
+ * again after an extension update replaces them.
+ */
+'use strict';
+
+(function() {
+    const SETTINGS_STORAGE_KEY = "settings";
+    const SETTINGS_VERSION = 2;
+
+    /**
+     * type: 'boolean' | 'number' | 'enum' | 'key' | 'text'
+     * section: Groups fields on the options page.
+     * 'key' values are hotkeys like "Shift+Slash": modifiers plus a
+     * KeyboardEvent.code, or '' when unbound (see Settings.keyFromEvent).
+     * 'text' values are limited by `maxLength` and `pattern` (theme fonts, themes.js).
+     */
+    const SETTINGS_SCHEMA = {
+        // Lyrics display (content.js)
+        scrollBehavior: {
+            type: 'enum', values: ['smooth', 'auto'], default: 'smooth', section: 'Lyrics Display',
+            label: 'Scroll animation', description: 'How the lyrics view scrolls to the active line.'
+        },
+        mobileBreakpoint: {
+            type: 'number', min: 320, max: 3840, step: 10, default: 950, section: 'Lyrics Display',
+            label: 'Narrow layout width (px)', description: 'Windows this wide or narrower use the vertical layout.'
+        },
+        plainAutoScroll: {
+            type: 'boolean', default: true, section: 'Lyrics Display',
+            label: 'Auto-scroll unsynced lyrics', description: 'Follow playback position proportionally.'
+        },
+        animatedBackground: {
+            type: 'boolean', default: true, section: 'Lyrics Display',
+            label: 'Animated background',
+            description: 'Slowly moving gradient in the artwork colors. Stays still while paused, when reduced motion is requested or when the page cannot keep up.'
+        },
+        offsetStep: {
+            type: 'number', min: 10, max: 2000, step: 10, default: 100, section: 'Lyrics Display',
+            label: 'Sync nudge step (ms)', description: 'Offset change per sync nudge key press.'
+        },
+        offsetStepLarge: {
+            type: 'number', min: 10, max: 10000, step: 10, default: 500, section: 'Lyrics Display',
+            label: 'Sync nudge step with Shift (ms)', description: 'Offset change when Shift is held with a sync nudge key.'
+        },
+
+        // Subtitle lines under each lyric (content.js + romanize.js)
+        showTranslation: {
+            type: 'boolean', default: true, section: 'Translation & Romanization',
+            label: 'Show translations', description: 'Bilingual LRC: a second line with the same timestamp is shown under the original.'
+        },
+        romanizeJapanese: {
+            type: 'boolean', default: false, section: 'Translation & Romanization',
+            label: 'Romanize Japanese', description: 'Kana to Hepburn romaji. Kanji is left as is.'
+        },
+        romanizeKorean: {
+            type: 'boolean', default: false, section: 'Translation & Romanization',
+            label: 'Romanize Korean', description: 'Hangul to Revised Romanization (per syllable).'
+        },
+        romanizeCyrillic: {
+            type: 'boolean', default: false, section: 'Translation & Romanization',
+            label: 'Romanize Cyrillic', description: 'Russian/Ukrainian letters to Latin.'
+        },
+
+        // Player tracking (content.js)
+        broadcastThrottle: {
+            type: 'number', min: 200, max: 10000, step: 100, default: 1000, section: 'Player Tracking',
+            label: 'Popup update interval (ms)', description: 'Minimum time between playback updates sent to the popup.'
+        },
+
+        // Lyrics fetching (background.js)
+        matchThreshold: {
+            type: 'number', min: 0, max: 300, step: 5, default: 70, section: 'Lyrics Search',
+            label: 'Match score threshold', description: 'Search results must score above this to be used automatically.'
+        },
+        ttlRevalidateDays: {
+            type: 'number', min: 1, max: 365, step: 1, default: 30, section: 'Lyrics Cache',
+            label: 'Revalidate after (days)', description: 'Cached lyrics older than this are refreshed in the background.'
+        },
+        ttlExpireDays: {
+            type: 'number', min: 1, max: 3650, step: 1, default: 365, section: 'Lyrics Cache',
+            label: 'Expire after (days)', description: 'Cached lyrics not played for this long are deleted.'
+        },
+        ttlMissHours: {
+            type: 'number', min: 1, max: 720, step: 1, default: 24, section: 'Lyrics Cache',
+            label: 'Retry not-found songs after (hours)', description: 'Songs without lyrics are not looked up again until then.'
+        },
+
+        // Hotkeys while the full-screen UI is open (content.js).
+        // Browser-wide shortcuts are chrome.commands, bound at chrome://extensions/shortcuts.
+        keyOffsetEarlier: {
+            type: 'key', default: 'BracketRight', section: 'Keyboard Shortcuts',
+            label: 'Lyrics earlier', description: 'Hold Shift for the larger step.'
+        },
+        keyOffsetLater: {
+            type: 'key', default: 'BracketLeft', section: 'Keyboard Shortcuts',
+            label: 'Lyrics later', description: 'Hold Shift for the larger step.'
+        },
+        keyOffsetReset: {
+            type: 'key', default: 'Backslash', section: 'Keyboard Shortcuts',
+            label: 'Reset sync offset', description: 'Back to the timing from the lyrics file.'
+        },
+        keyPreviousLine: {
+            type: 'key', default: 'Comma', section: 'Keyboard Shortcuts',
+            label: 'Previous line', description: 'Seek to the start of the previous lyric line.'
+        },
+        keyNextLine: {
+            type: 'key', default: 'Period', section: 'Keyboard Shortcuts',
+            label: 'Next line', description: 'Seek to the start of the next lyric line.'
+        },
+        keyToggleLyrics: {
+            type: 'key', default: 'KeyY', section: 'Keyboard Shortcuts',
+            label: 'Show/hide lyrics', description: 'Artwork only while the lyrics panel is hidden.'
+        },
+        keyPictureInPicture: {
+            type: 'key', default: 'KeyP', section: 'Keyboard Shortcuts',
+            label: 'Pop-out lyrics window', description: 'Opens/closes a small always-on-top window with the lyrics.'
+        },
+        keyShowHelp: {
+            type: 'key', default: 'Shift+Slash', section: 'Keyboard Shortcuts',
+            label: 'Shortcut list', description: 'Shows all shortcuts over the full-screen UI.'
+        }
+    };
+
+    const KEY_MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+    const KEY_BINDING_PATTERN = /^(?:(?:Ctrl|Alt|Shift|Meta)\+)*[A-Za-z0-9]+$/;
+
+    // KeyboardEvent.code -> label, for codes that do not read well as is
+    const KEY_LABELS = {
+        BracketLeft: '[', BracketRight: ']', Backslash: '\\', Slash: '/', Period: '.', Comma: ',',
+        Semicolon: ';', Quote: "'", Backquote: '`', Minus: '-', Equal: '=',
+        ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→'
+    };
+
+    /**
+     * Upgrade steps keyed by the version they produce.
+     * Each step receives the stored object of the previous version.
+     */
+    const SETTINGS_MIGRATIONS = {
+        // v1: first versioned format. Nothing to carry over from unversioned data.
+        1: (stored) => ({ ...stored }),
+        // v2: the page is no longer polled, so the check interval is gone.
+        2: ({ watchInterval, ...rest }) => rest
+    };
+
+    const Settings = {
+        /**
+         * @returns {object} A fresh object with every default value.
+         */
+        defaults() {
+            const result = {};
+            for (const [key, field] of Object.entries(SETTINGS_SCHEMA)) {
+                result[key] = field.default;
+            }
+            return result;
+        },
+
+        /**
+         * Coerces a raw object into a complete, valid settings object.
+         * @param {object} raw
+         * @returns {object}
+         */
+        validate(raw) {
+            const source = raw && typeof raw === 'object' ? raw : {};
+            const result = {};
+            for (const [key, field] of Object.entries(SETTINGS_SCHEMA)) {
+                result[key] = Settings.validateValue(field, source[key]);
+            }
+            return result;
+        },
+
+        /**
+         * @param {object} field - Schema entry.
+         * @param {*} value
+         * @returns {*} The value if valid (numbers clamped), otherwise the default.
+         */
+        validateValue(field, value) {
+            switch (field.type) {
+                case 'boolean':
+                    return typeof value === 'boolean' ? value : field.default;
+                case 'number': {
+                    const num = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+                    if (typeof num !== 'number' || !isFinite(num)) return field.default;
+                    return Math.min(field.max, Math.max(field.min, num));
+                }
+                case 'enum':
+                    return field.values.includes(value) ? value : field.default;
+                case 'key':
+                    return value === '' || (typeof value === 'string' && KEY_BINDING_PATTERN.test(value)) ? value : field.default;
+                case 'text':
+                    return typeof value === 'string' && value.length <= field.maxLength && field.pattern.test(value)
+                        ? value.trim() : field.default;
+                default:
+                    return field.default;
+            }
+        },
+
+        /**
+         * Upgrades a stored object to SETTINGS_VERSION.
+         * @param {object} stored
+         * @returns {object} Migrated object (not yet validated).
+         */
+        migrate(stored) {
+            let data = stored && typeof stored === 'object' ? stored : {};
+            let version = Number(data.version) || 0;
+            while (version < SETTINGS_VERSION) {
+                version++;
+                const step = SETTINGS_MIGRATIONS[version];
+                if (step) data = step(data);
+            }
+            return data;
+        },
+
+        /**
+         * Reads, migrates and validates the stored settings.
+         * @returns {Promise<object>}
+         */
+        async load() {
+            const result = await chrome.storage.local.get(SETTINGS_STORAGE_KEY);
+            return Settings.validate(Settings.migrate(result[SETTINGS_STORAGE_KEY]));
+        },
+
+        /**
+         * Merges changes into the stored settings.
+         * @param {object} changes - Partial settings.
+         * @returns {Promise<object>} The validated settings that were written.
+         */
+        async save(changes) {
+            const current = await Settings.load();
+            const next = Settings.validate({ ...current, ...changes });
+            await chrome.storage.local.set({ [SETTINGS_STORAGE_KEY]: { ...next, version: SETTINGS_VERSION } });
+            return next;
+        },
+
+        /**
+         * @returns {Promise<object>} The defaults that were written.
+         */
+        async reset() {
+            const next = Settings.defaults();
+            await chrome.storage.local.set({ [SETTINGS_STORAGE_KEY]: { ...next, version: SETTINGS_VERSION } });
+            return next;
+        },
+
+        /**
+         * Calls back with validated settings whenever they change in storage.
+         * @param {function(object): void} callback
+         */
+        onChange(callback) {
+            chrome.storage.onChanged.addListener((changes, areaName) => {
+                if (areaName === 'local' && changes[SETTINGS_STORAGE_KEY]) {
+                    callback(Settings.validate(Settings.migrate(changes[SETTINGS_STORAGE_KEY].newValue)));
+                }
+            });
+        },
+
+        /**
+         * Hotkey string for a keydown event. Physical keys (KeyboardEvent.code)
+         * are used so Shift does not change the key ("]" vs "}").
+         * @param {KeyboardEvent} e
+         * @returns {string|null} e.g. "Shift+Slash"; null for a lone modifier.
+         */
+        keyFromEvent(e) {
+            if (!e.code || /^(Control|Alt|Shift|Meta|OS)(Left|Right)?$/.test(e.code)) return null;
+            const modifiers = [e.ctrlKey && 'Ctrl', e.altKey && 'Alt', e.shiftKey && 'Shift', e.metaKey && 'Meta'];
+            return [...modifiers.filter(Boolean), e.code].join('+');
+        },
+
+        /**
+         * @param {KeyboardEvent} e
+         * @param {string} binding - A 'key' setting value.
+         * @param {boolean} [ignoreShift] - Also match with Shift held (e.g. larger nudge steps).
+         */
+        matchesKey(e, binding, ignoreShift = false) {
+            if (!binding) return false;
+            const parts = binding.split('+');
+            const code = parts.pop();
+            if (e.code !== code) return false;
+            const pressed = { Ctrl: !!e.ctrlKey, Alt: !!e.altKey, Shift: !!e.shiftKey, Meta: !!e.metaKey };
+            return KEY_MODIFIERS.every(modifier =>
+                (ignoreShift && modifier === 'Shift') || pressed[modifier] === parts.includes(modifier));
+        },
+
+        /**
+         * @param {string} binding - e.g. "Shift+Slash"
+         * @returns {string} e.g. "Shift+/"; empty when unbound.
+         */
+        describeKey(binding) {
+            if (!binding) return '';
+            const parts = binding.split('+');
+            const code = parts.pop();
+            const label = KEY_LABELS[code] || code.replace(/^(Key|Digit)/, '');
+            return [...parts, label].join('+');
+        }
+    };
+
+    globalThis.SETTINGS_SCHEMA = SETTINGS_SCHEMA;
+    globalThis.Settings = Settings;
+})();
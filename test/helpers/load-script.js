@@ -0,0 +1,36 @@
+/**
+ * Loads the extension's classic scripts into the test process, the way
+ * importScripts() or a <script> tag would. node --test runs every test file
+ * in its own process, so each file gets fresh globals.
+ */
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * @param {string[]} files - Paths relative to the repository root, in load order.
+ * @param {string[]} names - Globals to return. Top-level consts are not
+ *   properties of globalThis, so they are looked up by evaluating the name.
+ * @returns {Object<string, *>}
+ */
+function loadScripts(files, names) {
+    for (const file of files) {
+        const filename = path.join(ROOT, file);
+        vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+    }
+    return Object.fromEntries(names.map(name => [name, vm.runInThisContext(name)]));
+}
+
+/**
+ * @param {string} name - Path relative to test/fixtures.
+ * @returns {string}
+ */
+function readFixture(name) {
+    return fs.readFileSync(path.join(ROOT, 'test', 'fixtures', name), 'utf8');
+}
+
+module.exports = { loadScripts, readFixture };
@@ -0,0 +1,54 @@
+/**
+ * Local HTTP server standing in for a lyrics provider. Routes map
+ * "METHOD /path" to handlers; every request is recorded for assertions.
+ */
+'use strict';
+
+const http = require('node:http');
+
+/**
+ * @param {Object<string, function(URL, http.IncomingMessage, http.ServerResponse): void>} routes
+ *   Keyed by "GET /path"; unknown paths answer 404.
+ * @returns {Promise<{baseUrl: string, requests: Array<{url: URL, headers: object}>, close: function(): Promise<void>}>}
+ */
+async function startMockServer(routes) {
+    const requests = [];
+    const sockets = new Set();
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        requests.push({ url, headers: req.headers });
+        const handler = routes[`${req.method} ${url.pathname}`];
+        if (handler) handler(url, req, res);
+        else sendJson(res, 404, { message: 'Not found' });
+    });
+    server.on('connection', socket => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close() {
+            // Handlers that never answer keep their sockets open
+            sockets.forEach(socket => socket.destroy());
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+/**
+ * @param {Array<function(URL, http.IncomingMessage, http.ServerResponse): void>} handlers
+ * @returns {function} Handler answering the n-th request with the n-th handler (the last one repeats).
+ */
+function sequence(handlers) {
+    let index = 0;
+    return (...args) => handlers[Math.min(index++, handlers.length - 1)](...args);
+}
+
+module.exports = { startMockServer, sendJson, sequence };
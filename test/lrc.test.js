@@ -0,0 +1,102 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, readFixture } = require('./helpers/load-script');
+
+const { LRC } = loadScripts(['lrc.js'], ['LRC']);
+
+const parseFixture = name => LRC.parse(readFixture(`lrc/${name}`));
+const timesAndTexts = lines => lines.map(line => [line.time, line.text]);
+
+test('a line with several timestamps appears at each of them', () => {
+    const { lines } = parseFixture('repeated-timestamps.lrc');
+    assert.deepEqual(timesAndTexts(lines), [
+        [5, 'First verse'],
+        [12, 'Chorus line'],
+        [20, 'Second verse'],
+        [90, 'Chorus line']
+    ]);
+});
+
+test('[offset:] shifts every timestamp, positive meaning earlier', () => {
+    const { meta, lines } = parseFixture('offset.lrc');
+    assert.equal(meta.offset, 500);
+    assert.deepEqual(timesAndTexts(lines), [
+        [0, 'Clamped to the start'],
+        [9.5, 'Ten seconds'],
+        [19.5, 'Twenty seconds']
+    ]);
+});
+
+test('lines the offset clamps to the start stay separate; translations still pair up', () => {
+    const { lines } = parseFixture('offset-clamp.lrc');
+    assert.deepEqual(timesAndTexts(lines), [[0, 'Clamped first'], [0, 'Clamped second'], [1, 'Original']]);
+    assert.deepEqual(lines.map(line => line.translation), [undefined, undefined, 'Translation']);
+});
+
+test('negative offsets make lyrics later', () => {
+    const { lines } = LRC.parse('[offset:-1000]\n[00:01.00]One');
+    assert.deepEqual(timesAndTexts(lines), [[2, 'One']]);
+});
+
+test('ID tags are returned as meta, unknown tags are ignored', () => {
+    const { meta, lines } = parseFixture('id-tags.lrc');
+    assert.deepEqual({ ...meta }, {
+        title: 'Song Title',
+        artist: 'Some Artist',
+        album: 'Some Album',
+        author: 'Writer',
+        creator: 'Creator',
+        length: 205.5
+    });
+    assert.deepEqual(timesAndTexts(lines), [[1, 'Only line']]);
+});
+
+test('lines are sorted by time; a repeated timestamp becomes the translation', () => {
+    const { lines } = parseFixture('out-of-order.lrc');
+    assert.deepEqual(timesAndTexts(lines), [[10, 'First'], [20, 'Second'], [30, 'Third']]);
+    assert.equal(lines[0].translation, 'Translation of first');
+    assert.equal(lines[1].translation, undefined);
+});
+
+test('enhanced word tags give word timings with end times', () => {
+    const { lines } = parseFixture('enhanced.lrc');
+    assert.equal(lines[0].text, 'Hello world');
+    assert.deepEqual(lines[0].words.map(word => ({ ...word })), [
+        { time: 1, text: 'Hello ', end: 1.5 },
+        { time: 1.5, text: 'world', end: 2.2 }
+    ]);
+});
+
+test('text before the first word tag starts at the line time; an empty tag ends a word early', () => {
+    const { lines } = parseFixture('enhanced.lrc');
+    assert.equal(lines[1].text, 'Intro tagged later');
+    assert.deepEqual(lines[1].words.map(word => ({ ...word })), [
+        { time: 3, text: 'Intro ', end: 3.5 },
+        { time: 3.5, text: 'tagged ', end: 4 },
+        { time: 4.5, text: 'later' }
+    ]);
+});
+
+test('word timings follow repeated line timestamps', () => {
+    const { lines } = parseFixture('enhanced.lrc');
+    const repeats = lines.filter(line => line.text === 'Repeat');
+    assert.deepEqual(repeats.map(line => line.words.map(word => word.time)), [[5, 5.4], [15, 15.4]]);
+});
+
+test('CRLF files parse; lines without text are dropped', () => {
+    const { lines } = parseFixture('crlf-empty.lrc');
+    assert.deepEqual(timesAndTexts(lines), [[1, 'CRLF line'], [3, 'After blank']]);
+});
+
+test('documents without timestamps have no lines', () => {
+    assert.equal(LRC.parse(''), null);
+    assert.deepEqual(LRC.parse('Just some text\nwithout timestamps').lines, []);
+});
+
+test('toSeconds reads minutes, seconds and fractions of any precision', () => {
+    assert.equal(LRC.toSeconds(['', '01', '02', '5']), 62.5);
+    assert.equal(LRC.toSeconds(['', '1', '02', '250']), 62.25);
+    assert.equal(LRC.toSeconds(['', '10', '00', undefined]), 600);
+});
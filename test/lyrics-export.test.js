@@ -0,0 +1,43 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, readFixture } = require('./helpers/load-script');
+
+const { LRC, LyricsExport } = loadScripts(['lrc.js', 'lyrics-export.js'], ['LRC', 'LyricsExport']);
+
+const track = { title: 'Song', artist: 'Artist', album: 'Album', duration: 68 };
+
+test('exported LRC parses back to the same lines', () => {
+    const { lines } = LRC.parse(readFixture('lrc/enhanced.lrc'));
+    const exported = LyricsExport.format('lrc', track, { type: 'synced', lines });
+    assert.deepEqual(LRC.parse(exported).lines, lines);
+});
+
+test('lines the sync offset clamps to 0 are not read back as translations', () => {
+    const { lines } = LRC.parse('[00:00.20]First\n[00:00.50]Second\n[00:02.00]Third\n[00:02.00]Translation');
+    const shifted = LyricsExport.applyOffset(lines, 1000);
+    const reparsed = LRC.parse(LyricsExport.format('lrc', track, { type: 'synced', lines: shifted })).lines;
+    assert.deepEqual(reparsed.map(line => [line.time, line.text, line.translation]), [
+        [0, 'First', undefined],
+        [0.01, 'Second', undefined],
+        [1, 'Third', 'Translation']
+    ]);
+});
+
+test('SRT cues run until the next line, the last one until the track ends', () => {
+    const lines = [{ time: 1, text: 'One' }, { time: 65.25, text: 'Two' }];
+    assert.equal(LyricsExport.format('srt', track, { type: 'synced', lines }),
+        '1\n00:00:01,000 --> 00:01:05,250\nOne\n\n2\n00:01:05,250 --> 00:01:08,000\nTwo\n');
+});
+
+test('timed formats need synced lyrics', () => {
+    const plain = { type: 'plain', text: 'a\nb' };
+    assert.equal(LyricsExport.format('lrc', track, plain), null);
+    assert.equal(LyricsExport.format('txt', track, plain), 'a\nb\n');
+});
+
+test('file names drop characters file systems reject', () => {
+    assert.equal(LyricsExport.fileName({ title: 'A/B: C?', artist: 'X' }, 'lrc'), 'X - A_B_ C_.lrc');
+    assert.equal(LyricsExport.fileName({ title: '', artist: '' }, 'png'), 'lyrics.png');
+});
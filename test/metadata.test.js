@@ -0,0 +1,132 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+const { readFixture } = require('./helpers/load-script');
+
+const ROOT = path.join(__dirname, '..');
+const PAGE_BRIDGE = fs.readFileSync(path.join(ROOT, 'page-bridge.js'), 'utf8');
+const METADATA = fs.readFileSync(path.join(ROOT, 'metadata.js'), 'utf8');
+
+/**
+ * Builds a YTM page from a saved snapshot in test/fixtures/dom/<name>:
+ * - player-bar.html: the player bar and #movie_player, as saved from the page
+ * - media-session.json: navigator.mediaSession.metadata (optional)
+ * - player-api.json: what the player API returns to page-bridge.js (optional)
+ * Both scripts run in the one window; in the browser they share the DOM from
+ * different worlds, which is all the bridge relies on.
+ */
+function loadPage(name, url = 'https://music.youtube.com/') {
+    const read = file => {
+        const fixture = `dom/${name}/${file}`;
+        return fs.existsSync(path.join(ROOT, 'test', 'fixtures', fixture)) ? readFixture(fixture) : null;
+    };
+    const dom = new JSDOM(`<!DOCTYPE html><body>${read('player-bar.html')}</body>`, { url, runScripts: 'outside-only' });
+    const { window } = dom;
+
+    const session = read('media-session.json');
+    Object.defineProperty(window.navigator, 'mediaSession', {
+        value: { metadata: session ? JSON.parse(session) : null }
+    });
+    const playerApi = read('player-api.json');
+    if (playerApi) {
+        const { videoData, duration } = JSON.parse(playerApi);
+        const player = window.document.getElementById('movie_player');
+        player.getVideoData = () => videoData;
+        player.getDuration = () => duration;
+    }
+
+    window.eval(PAGE_BRIDGE);
+    window.eval(METADATA);
+    return window;
+}
+
+// Objects from the window's realm have its prototypes; compare them as data
+const readTrack = window => JSON.parse(JSON.stringify(window.TrackMetadata.read()));
+
+test('song: artists and album from byline links, duration from the player API', () => {
+    const window = loadPage('song', 'https://music.youtube.com/watch?v=Xq3bZ1vT9kE');
+    assert.deepEqual(readTrack(window), {
+        title: 'Golden Hour (feat. Guest Singer)',
+        artist: 'Artist A, Artist B',
+        artists: ['Artist A', 'Artist B'],
+        featuredArtists: ['Guest Singer'],
+        album: 'Night Drive',
+        videoId: 'Xq3bZ1vT9kE',
+        duration: 215,
+        artwork: 'https://lh3.googleusercontent.com/golden-hour=w544-h544-l90-rj',
+        isPodcast: false
+    });
+});
+
+test('video: a linked name with a comma stays one artist, view counts are not an album', () => {
+    // No player API answer and not on /watch: the video ID comes from the title link
+    const window = loadPage('video');
+    assert.deepEqual(readTrack(window), {
+        title: 'Live at the Hall',
+        artist: 'Smith, Jones & Co',
+        artists: ['Smith, Jones & Co'],
+        featuredArtists: [],
+        album: '',
+        videoId: 'AbCdEfGhIjK',
+        duration: 0,
+        artwork: 'https://i.ytimg.com/vi/AbCdEfGhIjK/sddefault.jpg',
+        isPodcast: false
+    });
+});
+
+test('podcast: the show stands in for the artist and there is no album', () => {
+    const window = loadPage('podcast');
+    assert.deepEqual(readTrack(window), {
+        title: 'Episode 42: Mixing, Mastering • Q&A',
+        artist: 'The Weekly Show',
+        artists: ['The Weekly Show'],
+        featuredArtists: [],
+        album: '',
+        videoId: 'Pd7cAsT42eP',
+        duration: 3120.5,
+        artwork: 'https://lh3.googleusercontent.com/weekly-show=w544-h544-l90-rj',
+        isPodcast: true
+    });
+});
+
+test('empty player bar: title and channel come from the player API', () => {
+    const window = loadPage('loading');
+    const track = readTrack(window);
+    assert.equal(track.title, 'Still Loading');
+    assert.equal(track.artist, 'Some Artist');
+    assert.deepEqual(track.artists, ['Some Artist']);
+    assert.equal(track.videoId, 'Ld9nG0sNgId');
+    assert.equal(track.duration, 184);
+});
+
+test('mid-transition: a player API answer for the previous track is not taken as the video ID', () => {
+    // The bar and title link show the next song; the player API still has the last one
+    const window = loadPage('transition');
+    const track = readTrack(window);
+    assert.equal(track.title, 'Blue Room');
+    assert.equal(track.artist, 'Artist C');
+    assert.equal(track.videoId, 'Bl9eR0oMx2Q');
+
+    // With nothing else to go on, the track is keyed by title/artist instead
+    window.document.querySelector('.ytp-title-link').remove();
+    assert.equal(readTrack(window).videoId, null);
+});
+
+test('nothing playing reads as null', () => {
+    const window = loadPage('loading');
+    window.document.getElementById('movie_player').getVideoData = () => ({});
+    assert.equal(window.TrackMetadata.read(), null);
+});
+
+test('a re-injected page bridge answers once', () => {
+    const window = loadPage('song');
+    window.eval(PAGE_BRIDGE);
+    let answers = 0;
+    window.document.addEventListener('ytm-modern-ui:player-data', () => answers++);
+    window.TrackMetadata.read();
+    assert.equal(answers, 1);
+});
@@ -0,0 +1,209 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-script');
+const { startMockServer, sendJson, sequence } = require('./helpers/mock-server');
+
+// Node 20 has no navigator; fetchJson() checks onLine before every request
+Object.defineProperty(globalThis, 'navigator', { value: { onLine: true }, writable: true, configurable: true });
+
+const { Providers, FETCH_POLICY, FETCH_ERROR } = loadScripts(['providers.js'], ['Providers', 'FETCH_POLICY', 'FETCH_ERROR']);
+
+// Retries and timeouts at test speed
+Object.assign(FETCH_POLICY, { timeout: 200, backoffBase: 1 });
+
+const LRCLIB_RECORD = {
+    id: 42, trackName: 'Song', artistName: 'Artist', albumName: 'Album', duration: 200,
+    instrumental: false, syncedLyrics: '[00:01.00]Line', plainLyrics: 'Line'
+};
+const HTTP_RECORD = {
+    id: 'a/b', title: 'Song', artist: 'Artist', album: 'Album', duration: 200,
+    synced: '[00:01.00]<00:01.00>Word', plain: 'Word'
+};
+
+function createProvider(type, baseUrl) {
+    return Providers.create({ id: type, type, name: type, baseUrl, enabled: true });
+}
+
+async function withServer(routes, run) {
+    const server = await startMockServer(routes);
+    try {
+        await run(server);
+    } finally {
+        await server.close();
+    }
+}
+
+/** Asserts that `promise` rejects with a LyricsFetchError of `category`. */
+async function assertCategory(promise, category) {
+    await assert.rejects(promise, error => {
+        assert.equal(error.name, 'LyricsFetchError');
+        assert.equal(error.category, category);
+        return true;
+    });
+}
+
+test('lrclib: get sends LRCLIB query parameters and the client header', () => withServer({
+    'GET /api/get': (url, req, res) => sendJson(res, 200, LRCLIB_RECORD)
+}, async (server) => {
+    const provider = createProvider('lrclib', `${server.baseUrl}/api`);
+    const record = await provider.get({ title: 'Song', artist: 'Artist', album: 'Album', duration: 199.6 });
+    assert.deepEqual(record, LRCLIB_RECORD);
+    const { url, headers } = server.requests[0];
+    assert.deepEqual(Object.fromEntries(url.searchParams), {
+        track_name: 'Song', artist_name: 'Artist', duration: '200', album_name: 'Album'
+    });
+    assert.match(headers['lrclib-client'], /^YTM-Modern-UI/);
+}));
+
+test('lrclib: 404 is "not found", not an error', () => withServer({}, async (server) => {
+    const provider = createProvider('lrclib', `${server.baseUrl}/api`);
+    assert.equal(await provider.get({ title: 'Song', artist: 'Artist', duration: 200 }), null);
+    assert.equal(await provider.getById(7), null);
+    assert.equal(server.requests[1].url.pathname, '/api/get/7');
+}));
+
+test('lrclib: search returns the records, or [] for anything but an array', () => withServer({
+    'GET /api/search': sequence([
+        (url, req, res) => sendJson(res, 200, [LRCLIB_RECORD]),
+        (url, req, res) => sendJson(res, 200, { unexpected: true })
+    ])
+}, async (server) => {
+    const provider = createProvider('lrclib', `${server.baseUrl}/api`);
+    assert.deepEqual(await provider.search('song artist'), [LRCLIB_RECORD]);
+    assert.deepEqual(await provider.search('song artist'), []);
+    assert.equal(server.requests[0].url.searchParams.get('q'), 'song artist');
+}));
+
+test('http: records are mapped to LRCLIB field names', () => withServer({
+    'GET /lyrics': (url, req, res) => sendJson(res, 200, HTTP_RECORD),
+    'GET /lyrics/a%2Fb': (url, req, res) => sendJson(res, 200, HTTP_RECORD),
+    'GET /search': (url, req, res) => sendJson(res, 200, [HTTP_RECORD])
+}, async (server) => {
+    const provider = createProvider('http', server.baseUrl);
+    const expected = {
+        id: 'a/b', trackName: 'Song', artistName: 'Artist', albumName: 'Album', duration: 200,
+        instrumental: false, syncedLyrics: HTTP_RECORD.synced, plainLyrics: 'Word'
+    };
+    assert.deepEqual(await provider.get({ title: 'Song', artist: 'Artist', duration: 200 }), expected);
+    assert.deepEqual(await provider.getById('a/b'), expected);
+    assert.deepEqual(await provider.search('song'), [expected]);
+    assert.deepEqual(Object.fromEntries(server.requests[0].url.searchParams), {
+        title: 'Song', artist: 'Artist', duration: '200'
+    });
+}));
+
+test('http: 404 resolves null', () => withServer({}, async (server) => {
+    const provider = createProvider('http', server.baseUrl);
+    assert.equal(await provider.get({ title: 'Song', artist: 'Artist', duration: 200 }), null);
+}));
+
+test('5xx is retried with backoff', () => withServer({
+    'GET /lyrics/1': sequence([
+        (url, req, res) => sendJson(res, 503, {}),
+        (url, req, res) => sendJson(res, 200, HTTP_RECORD)
+    ])
+}, async (server) => {
+    const record = await createProvider('http', server.baseUrl).getById(1);
+    assert.equal(record.trackName, 'Song');
+    assert.equal(server.requests.length, 2);
+}));
+
+test('5xx gives up after maxRetries', () => withServer({
+    'GET /lyrics/1': (url, req, res) => sendJson(res, 500, {})
+}, async (server) => {
+    await assertCategory(createProvider('http', server.baseUrl).getById(1), FETCH_ERROR.SERVER);
+    assert.equal(server.requests.length, FETCH_POLICY.maxRetries + 1);
+}));
+
+test('other 4xx are not retried', () => withServer({
+    'GET /lyrics/1': (url, req, res) => sendJson(res, 400, {})
+}, async (server) => {
+    await assertCategory(createProvider('http', server.baseUrl).getById(1), FETCH_ERROR.SERVER);
+    assert.equal(server.requests.length, 1);
+}));
+
+test('invalid JSON is a server error', () => withServer({
+    'GET /lyrics/1': (url, req, res) => sendJson(res, 200, '{not json')
+}, async (server) => {
+    await assertCategory(createProvider('http', server.baseUrl).getById(1), FETCH_ERROR.SERVER);
+}));
+
+test('429 with a short Retry-After waits and retries', () => withServer({
+    'GET /api/get/1': sequence([
+        (url, req, res) => sendJson(res, 429, {}, { 'Retry-After': '0' }),
+        (url, req, res) => sendJson(res, 200, LRCLIB_RECORD)
+    ])
+}, async (server) => {
+    assert.deepEqual(await createProvider('lrclib', `${server.baseUrl}/api`).getById(1), LRCLIB_RECORD);
+    assert.equal(server.requests.length, 2);
+}));
+
+test('429 that keeps coming gives up after maxRetries', () => withServer({
+    'GET /api/get/1': (url, req, res) => sendJson(res, 429, {}, { 'Retry-After': '0' })
+}, async (server) => {
+    await assertCategory(createProvider('lrclib', `${server.baseUrl}/api`).getById(1), FETCH_ERROR.RATE_LIMITED);
+    assert.equal(server.requests.length, FETCH_POLICY.maxRetries + 1);
+}));
+
+test('429 with a long Retry-After puts the host on cooldown', async () => {
+    await withServer({
+        'GET /api/get/1': (url, req, res) => sendJson(res, 429, {}, { 'Retry-After': '60' })
+    }, async (limited) => {
+        await withServer({
+            'GET /api/get/1': (url, req, res) => sendJson(res, 200, LRCLIB_RECORD)
+        }, async (other) => {
+            const provider = createProvider('lrclib', `${limited.baseUrl}/api`);
+            const before = Date.now();
+            await assert.rejects(provider.getById(1), error => {
+                assert.equal(error.category, FETCH_ERROR.RATE_LIMITED);
+                assert.ok(error.retryAt >= before + 60000 && error.retryAt <= Date.now() + 60000);
+                return true;
+            });
+            assert.equal(limited.requests.length, 1, 'long waits are not slept through');
+
+            // Fails fast without contacting the host again
+            await assertCategory(provider.get({ title: 'Song', artist: 'Artist', duration: 200 }), FETCH_ERROR.RATE_LIMITED);
+            assert.equal(limited.requests.length, 1);
+
+            // The cooldown is per host
+            assert.deepEqual(await createProvider('lrclib', `${other.baseUrl}/api`).getById(1), LRCLIB_RECORD);
+        });
+    });
+});
+
+test('requests without an answer time out', () => withServer({
+    'GET /lyrics/1': () => {}
+}, async (server) => {
+    await assertCategory(createProvider('http', server.baseUrl).getById(1), FETCH_ERROR.TIMEOUT);
+    assert.equal(server.requests.length, FETCH_POLICY.maxRetries + 1);
+}));
+
+test('an unreachable server is a network error', async () => {
+    const server = await startMockServer({});
+    await server.close();
+    await assertCategory(createProvider('http', server.baseUrl).getById(1), FETCH_ERROR.NETWORK);
+});
+
+test('offline fails without a request', () => withServer({}, async (server) => {
+    navigator.onLine = false;
+    try {
+        await assertCategory(createProvider('http', server.baseUrl).getById(1), FETCH_ERROR.OFFLINE);
+        assert.equal(server.requests.length, 0);
+    } finally {
+        navigator.onLine = true;
+    }
+}));
+
+test('provider lists are validated; capabilities come from the type', () => {
+    const list = Providers.validate([
+        { id: 'local', type: 'http', name: 'LAN', baseUrl: 'http://192.168.0.2:8080///' },
+        { id: 'local', type: 'http', baseUrl: 'http://other' },
+        { id: 'bad', type: 'unknown', baseUrl: 'http://x' },
+        { id: 'ftp', type: 'http', baseUrl: 'ftp://x' }
+    ]);
+    assert.deepEqual(list, [{ id: 'local', type: 'http', name: 'LAN', baseUrl: 'http://192.168.0.2:8080', enabled: true }]);
+    assert.deepEqual(Providers.create(list[0]).capabilities, { synced: true, plain: true, search: true });
+    assert.deepEqual(Providers.validate([]), Providers.defaults());
+});
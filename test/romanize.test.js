@@ -0,0 +1,44 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-script');
+
+const { Romanizer } = loadScripts(['romanize.js'], ['Romanizer']);
+
+const ALL = ['ja', 'ko', 'ru'];
+
+test('kana: Hepburn with yoon, sokuon and the long vowel mark', () => {
+    const cases = {
+        'ありがとう': 'arigatou',
+        'きょう': 'kyou',
+        'がっこう': 'gakkou',
+        'まっちゃ': 'matcha',
+        'コーヒー': 'koohii',
+        'ファイト': 'faito'
+    };
+    for (const [kana, romaji] of Object.entries(cases)) {
+        assert.equal(Romanizer.romanize(kana, ALL), romaji);
+    }
+});
+
+test('kanji has no reading table and is kept next to romanized kana', () => {
+    assert.equal(Romanizer.romanize('東京タワー', ALL), '東京tawaa');
+});
+
+test('hangul: Revised Romanization per syllable', () => {
+    assert.equal(Romanizer.romanize('안녕하세요', ALL), 'annyeonghaseyo');
+    assert.equal(Romanizer.romanize('사랑해 한국', ALL), 'saranghae hanguk');
+});
+
+test('Latin text is unchanged and reads as nothing to show', () => {
+    assert.deepEqual(Romanizer.detectScripts('Hello, world!'), []);
+    assert.equal(Romanizer.romanize('Hello, world!', ALL), null);
+    assert.equal(Romanizer.romanize('Love あなた', ALL), 'Love anata');
+});
+
+test('only enabled scripts are converted', () => {
+    assert.deepEqual(Romanizer.detectScripts('君の사랑'), ['ja', 'ko']);
+    assert.equal(Romanizer.romanize('君の사랑', ['ko']), '君のsarang');
+    assert.equal(Romanizer.romanize('ありがとう', ['ko']), null);
+});
@@ -0,0 +1,21 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-script');
+
+const { Settings, THEME_SCHEMA } = loadScripts(['settings.js', 'themes.js'], ['Settings', 'THEME_SCHEMA']);
+
+const validateFont = value => Settings.validateValue(THEME_SCHEMA.fontFamily, value);
+
+test('font names outside ASCII are kept', () => {
+    for (const font of ['"游ゴシック", "Hiragino Sans", sans-serif', "'Noto Sans CJK 한국어'", 'Ubuntu Sans Mono']) {
+        assert.equal(validateFont(font), font);
+    }
+});
+
+test('characters that can end the declaration fall back to the default', () => {
+    for (const font of ['serif; color: red', 'serif} body {', '</style>', 'serif\\3b']) {
+        assert.equal(validateFont(font), THEME_SCHEMA.fontFamily.default);
+    }
+});
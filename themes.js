@@ -0,0 +1,251 @@
+/**
+ * themes.js
+ *
+ * Overview:
+ * Visual themes for the immersive UI. A theme is a set of values (font, lyric size,
+ * alignment, blur, ...) that content.js sets as CSS custom properties on the
+ * full-screen UI; style.css reads them with its original look as fallback.
+ *
+ * Key Features:
+ * - Built-in Themes: Classic blur, minimal dark, high contrast and
+ *   large-print karaoke. They cannot be edited, only duplicated.
+ * - Custom Themes: Edited on the options page and stored with the selected
+ *   theme under `themes` in `chrome.storage.local`, validated like the
+ *   settings store and reported live via `onChange()`.
+ * - Import/Export: One theme per JSON file (`toJson()` / `fromJson()`).
+ *
+ * Loaded as a classic script after settings.js (content_scripts / <script>),
+ * it assigns `THEME_SCHEMA`, `BUILT_IN_THEMES` and `Themes` to globalThis,
+ * replacing those of an earlier copy.
+ */
+'use strict';
+
+(function() {
+    const THEMES_STORAGE_KEY = "themes";
+    const THEME_EXPORT_FORMAT = "ytm-modern-ui-theme";
+    const THEME_EXPORT_VERSION = 1;
+
+    /**
+     * Theme values, validated with Settings.validateValue().
+     * cssVar: Custom property read by style.css; `toCss` turns the value into
+     * its CSS value, or null to leave the property unset (layout default).
+     */
+    const THEME_SCHEMA = {
+        fontFamily: {
+            type: 'text', maxLength: 200, pattern: /^[^;{}<>\\]*$/, default: '-apple-system, sans-serif',
+            label: 'Font family', description: 'CSS font list, e.g. "Noto Sans JP", sans-serif. Empty for the default.',
+            cssVar: '--ytm-font-family', toCss: value => value || null
+        },
+        fontScale: {
+            type: 'number', min: 50, max: 300, step: 5, default: 100,
+            label: 'Lyrics size (%)', description: 'Relative to the size the layout would use.',
+            cssVar: '--ytm-lyric-scale', toCss: value => String(value / 100)
+        },
+        alignment: {
+            type: 'enum', values: ['auto', 'start', 'center', 'end'], default: 'auto',
+            label: 'Lyrics alignment', description: 'auto: left on wide windows, centered in the narrow layout.',
+            cssVar: '--ytm-lyric-align', toCss: value => (value === 'auto' ? null : value)
+        },
+        inactiveOpacity: {
+            type: 'number', min: 5, max: 100, step: 5, default: 25,
+            label: 'Inactive line opacity (%)', description: 'How visible the lines before and after the current one are.',
+            cssVar: '--ytm-inactive-opacity', toCss: value => String(value / 100)
+        },
+        activeScale: {
+            type: 'number', min: 100, max: 150, step: 1, default: 105,
+            label: 'Current line zoom (%)', description: 'The narrow layout adds another 5%.',
+            cssVar: '--ytm-active-scale', toCss: value => String(value / 100)
+        },
+        blur: {
+            type: 'number', min: 0, max: 120, step: 5, default: 60,
+            label: 'Background blur (px)', description: 'Blur of the artwork and the animated background.',
+            cssVar: '--ytm-bg-blur', toCss: value => `${value}px`
+        },
+        backgroundBrightness: {
+            type: 'number', min: 10, max: 40, step: 5, default: 40,
+            label: 'Background brightness (%)', description: 'Capped at 40% so text colors taken from the artwork stay readable.',
+            cssVar: '--ytm-bg-brightness', toCss: value => String(value / 100)
+        },
+        artworkColors: {
+            type: 'boolean', default: true,
+            label: 'Artwork text colors', description: 'Title and current line take their color from the artwork. Off: white.'
+        }
+    };
+
+    // Values not listed are the THEME_SCHEMA defaults
+    const BUILT_IN_THEMES = [
+        { id: 'classic', name: 'Classic Blur', values: {} },
+        {
+            id: 'minimal-dark', name: 'Minimal Dark',
+            values: { blur: 100, backgroundBrightness: 15, inactiveOpacity: 20, activeScale: 100 }
+        },
+        {
+            id: 'high-contrast', name: 'High Contrast',
+            values: { fontScale: 110, inactiveOpacity: 60, backgroundBrightness: 10, artworkColors: false }
+        },
+        {
+            id: 'karaoke', name: 'Large-Print Karaoke',
+            values: { fontScale: 160, alignment: 'center', inactiveOpacity: 35, activeScale: 110, backgroundBrightness: 30 }
+        }
+    ];
+
+    const DEFAULT_THEME_ID = 'classic';
+
+    const Themes = {
+        /**
+         * @returns {{selected: string, custom: Array<object>}} Nothing customized, classic selected.
+         */
+        defaults() {
+            return { selected: DEFAULT_THEME_ID, custom: [] };
+        },
+
+        /**
+         * @param {object} raw - Partial values.
+         * @returns {object} A complete set of theme values.
+         */
+        validateValues(raw) {
+            const source = raw && typeof raw === 'object' ? raw : {};
+            const result = {};
+            for (const [key, field] of Object.entries(THEME_SCHEMA)) {
+                result[key] = Settings.validateValue(field, source[key]);
+            }
+            return result;
+        },
+
+        /**
+         * Drops malformed custom themes and duplicate ids; an unknown selection
+         * falls back to the classic theme.
+         * @param {object} raw - Stored object.
+         * @returns {{selected: string, custom: Array<{id: string, name: string, values: object}>}}
+         */
+        validate(raw) {
+            const source = raw && typeof raw === 'object' ? raw : {};
+            const seen = new Set(BUILT_IN_THEMES.map(theme => theme.id));
+            const custom = [];
+            for (const entry of Array.isArray(source.custom) ? source.custom : []) {
+                const id = entry && String(entry.id || '').trim();
+                if (!id || seen.has(id)) continue;
+                seen.add(id);
+                custom.push({
+                    id: id,
+                    name: String(entry.name || '').trim() || 'Untitled',
+                    values: Themes.validateValues(entry.values)
+                });
+            }
+            return { selected: seen.has(source.selected) ? source.selected : DEFAULT_THEME_ID, custom: custom };
+        },
+
+        /**
+         * @param {object} data - Validated store.
+         * @returns {Array<{id: string, name: string, values: object, builtIn: boolean}>} Built-in themes first.
+         */
+        list(data) {
+            return [
+                ...BUILT_IN_THEMES.map(theme => ({ ...theme, values: Themes.validateValues(theme.values), builtIn: true })),
+                ...data.custom.map(theme => ({ ...theme, builtIn: false }))
+            ];
+        },
+
+        /**
+         * @param {object} data - Validated store.
+         * @returns {{id: string, name: string, values: object, builtIn: boolean}} The selected theme.
+         */
+        active(data) {
+            const themes = Themes.list(data);
+            return themes.find(theme => theme.id === data.selected) || themes[0];
+        },
+
+        /**
+         * Adds a custom theme and selects it.
+         * @param {object} data - Validated store.
+         * @param {string} name
+         * @param {object} values
+         * @returns {object} The new store (not yet saved).
+         */
+        add(data, name, values) {
+            const taken = new Set(Themes.list(data).map(theme => theme.id));
+            let id;
+            for (let n = data.custom.length + 1; !id || taken.has(id); n++) id = `custom-${n}`;
+            return {
+                selected: id,
+                custom: [...data.custom, { id, name, values: Themes.validateValues(values) }]
+            };
+        },
+
+        /**
+         * @param {object} values - Validated theme values.
+         * @returns {Object<string, string|null>} Custom property -> CSS value (null: unset).
+         */
+        toCssProperties(values) {
+            const result = {};
+            for (const [key, field] of Object.entries(THEME_SCHEMA)) {
+                if (field.cssVar) result[field.cssVar] = field.toCss(values[key]);
+            }
+            return result;
+        },
+
+        /**
+         * @param {{name: string, values: object}} theme
+         * @returns {string} Export file contents.
+         */
+        toJson(theme) {
+            return JSON.stringify({
+                format: THEME_EXPORT_FORMAT,
+                version: THEME_EXPORT_VERSION,
+                name: theme.name,
+                values: theme.values
+            }, null, 2);
+        },
+
+        /**
+         * @param {string} text - Export file contents.
+         * @returns {{name: string, values: object}} Invalid values fall back to their defaults.
+         * @throws {Error} When the text is not a theme export.
+         */
+        fromJson(text) {
+            let payload;
+            try {
+                payload = JSON.parse(text);
+            } catch (e) {
+                throw new Error('file is not valid JSON.');
+            }
+            if (!payload || payload.format !== THEME_EXPORT_FORMAT || typeof payload.values !== 'object') {
+                throw new Error('not a theme export.');
+            }
+            return {
+                name: String(payload.name || '').trim() || 'Imported theme',
+                values: Themes.validateValues(payload.values)
+            };
+        },
+
+        async load() {
+            const result = await chrome.storage.local.get(THEMES_STORAGE_KEY);
+            return Themes.validate(result[THEMES_STORAGE_KEY]);
+        },
+
+        /**
+         * @param {object} data - Whole store: selection and custom themes.
+         * @returns {Promise<object>} The validated store that was written.
+         */
+        async save(data) {
+            const next = Themes.validate(data);
+            await chrome.storage.local.set({ [THEMES_STORAGE_KEY]: next });
+            return next;
+        },
+
+        /**
+         * @param {function(object): void} callback - Receives the validated store.
+         */
+        onChange(callback) {
+            chrome.storage.onChanged.addListener((changes, areaName) => {
+                if (areaName === 'local' && changes[THEMES_STORAGE_KEY]) {
+                    callback(Themes.validate(changes[THEMES_STORAGE_KEY].newValue));
+                }
+            });
+        }
+    };
+
+    globalThis.THEME_SCHEMA = THEME_SCHEMA;
+    globalThis.BUILT_IN_THEMES = BUILT_IN_THEMES;
+    globalThis.Themes = Themes;
+})();